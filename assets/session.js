@@ -0,0 +1,97 @@
+// Shared by the signed-in pages (dashboard, workout, battle): the API base,
+// the token-refreshing fetch and the live event stream. Load it before the
+// page's own script.
+
+// Auto-detect API URL (SAME AS LOGIN/SIGNUP)
+const isLocalhost = window.location.hostname === 'localhost' ||
+                    window.location.hostname === '127.0.0.1';
+const API_BASE = isLocalhost ? 'http://localhost:4000' : window.location.origin;
+
+// Access tokens only last a few minutes. Any request that comes back 401
+// swaps the refresh cookie for a new token and is sent again once; if
+// the session has ended the hero goes back to the login page.
+const nativeFetch = window.fetch.bind(window);
+let refreshing = null;
+function refreshAccessToken() {
+  if (!refreshing) {
+    refreshing = nativeFetch(`${API_BASE}/auth/refresh`, { method: "POST", credentials: "include" })
+      .then(res => res.ok ? res.json() : null)
+      .then(data => {
+        if (!data || !data.token) throw new Error("Session ended");
+        localStorage.setItem("token", data.token);
+        return data.token;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+window.fetch = async (url, options = {}) => {
+  const send = () => {
+    const headers = { ...(options.headers || {}) };
+    if (headers.Authorization) headers.Authorization = `Bearer ${localStorage.getItem("token")}`;
+    return nativeFetch(url, { ...options, headers, credentials: "include" });
+  };
+
+  const res = await send();
+  if (res.status !== 401 || !options.headers?.Authorization) return res;
+
+  try {
+    await refreshAccessToken();
+  } catch (err) {
+    localStorage.removeItem("token");
+    window.location.href = "login.html";
+    return res;
+  }
+  return send();
+};
+
+// ====== LIVE UPDATES ======
+// Opens the Server-Sent Events stream and keeps it open. `listeners` maps
+// event types to handlers, which get the MessageEvent.
+function connectEvents(listeners) {
+  let retryDelay = 2000;
+  // Sent with the next ticket so a reconnect replays what was missed
+  let lastEventId = null;
+
+  async function connect() {
+    const currentToken = localStorage.getItem("token");
+    if (!currentToken || !window.EventSource) return;
+
+    // The stream is opened with a one-use ticket, never the access token
+    let ticket;
+    try {
+      const res = await fetch(`${API_BASE}/events/ticket`, {
+        method: "POST",
+        headers: { "Authorization": `Bearer ${currentToken}` }
+      });
+      ticket = res.ok && (await res.json()).ticket;
+    } catch (err) {
+      ticket = null;
+    }
+    if (!ticket) return reconnect();
+
+    const query = new URLSearchParams({ ticket });
+    if (lastEventId) query.set("lastEventId", lastEventId);
+    const source = new EventSource(`${API_BASE}/events?${query}`);
+
+    source.onopen = () => { retryDelay = 2000; };
+    Object.entries(listeners).forEach(([type, handler]) => source.addEventListener(type, event => {
+      lastEventId = event.lastEventId;
+      handler(event);
+    }));
+
+    // The browser reconnects by itself (sending Last-Event-ID) unless the
+    // server refused the stream
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) reconnect();
+    };
+  }
+
+  function reconnect() {
+    setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, 60000);
+  }
+
+  connect();
+}
@@ -5,13 +5,21 @@ import mongoose from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import { randomBytes, createHash } from 'crypto';
+import { appendFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { setTimeout as sleep } from 'timers/promises';
 import OpenAI from 'openai';
 
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Started directly (npm start) the server connects and listens. Imported,
+// as the tests do, it only builds `app` on whatever connection is open.
+const isMainModule = Boolean(process.argv[1]) && resolve(process.argv[1]) === __filename;
+
 // ====== PORT CONFIGURATION ======
 const PORT = parseInt(process.env.PORT) || 4000;
 const HOST = '0.0.0.0';
@@ -19,11 +27,23 @@ const HOST = '0.0.0.0';
 // ====== EXPRESS APP SETUP ======
 const app = express(); // ONLY ONCE!
 
+// Behind a proxy (Railway), req.ip should be the client, not the proxy.
+// TRUST_PROXY is the number of proxy hops; production assumes one.
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.NODE_ENV === 'production' ? '1' : '0');
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
+// Express 4 doesn't hand a rejected promise from an async handler to the
+// error middleware, so async route handlers are wrapped in this to pass it on
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
 // ====== CORS CONFIGURATION ======
 app.use(cors({
   origin: ['http://localhost:4000', 'http://localhost:3000', 'https://*.up.railway.app'],
   credentials: true,
 }));
+app.use(errorEnvelope);
 app.use(express.json());
 
 // ====== STATIC FILE SERVING ======
@@ -66,43 +86,272 @@ app.get('/health', (req, res) => {
   });
 });
 
-// ====== GEMINI AI INITIALIZATION ======
-let groqClient = null;
-if (process.env.GROQ_API_KEY) {
-  groqClient = new OpenAI({
+// ====== LLM PROVIDERS ======
+// Coach AI talks to the provider named by LLM_PROVIDER:
+//   groq   - Groq's hosted models (needs GROQ_API_KEY)
+//   openai - any OpenAI-compatible API at LLM_BASE_URL, such as a local
+//            server, with LLM_API_KEY if it wants one
+//   stub   - deterministic canned replies, for testing offline
+//   none   - no model; the coach answers from its keyword fallback
+// Unset, it is groq when GROQ_API_KEY is there and none otherwise. LLM_MODEL
+// overrides the provider's default model. Each attempt times out after
+// LLM_TIMEOUT_MS, timeouts and transient errors are retried LLM_RETRIES
+// times, and identical requests within LLM_CACHE_SECONDS share one answer.
+// Another provider plugs in with registerLLMProvider(name, config => ({
+// name, model, complete(request), stream(request) })), where complete
+// resolves to the reply text and stream yields it in pieces.
+function readEnvNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+}
+
+const LLM = {
+  provider: process.env.LLM_PROVIDER || (process.env.GROQ_API_KEY ? 'groq' : 'none'),
+  model: process.env.LLM_MODEL,
+  baseURL: process.env.LLM_BASE_URL,
+  apiKey: process.env.LLM_API_KEY,
+  timeoutMs: readEnvNumber('LLM_TIMEOUT_MS', 20000),
+  retries: readEnvNumber('LLM_RETRIES', 2),
+  cacheSeconds: readEnvNumber('LLM_CACHE_SECONDS', 300),
+  cacheSize: 200,
+  // Makes the stub slow, to try out timeouts
+  stubDelayMs: readEnvNumber('LLM_STUB_DELAY_MS', 0)
+};
+
+const llmProviders = new Map();
+
+function registerLLMProvider(name, create) {
+  llmProviders.set(name, create);
+}
+
+// Timeouts and retries are handled by callLLM, the same for every provider
+function createOpenAICompatibleProvider(name, { apiKey, baseURL, model }) {
+  const client = new OpenAI({ apiKey: apiKey || 'unused', baseURL, maxRetries: 0 });
+  const body = request => ({
+    model,
+    messages: request.messages,
+    temperature: request.temperature,
+    max_tokens: request.maxTokens,
+    top_p: request.topP
+  });
+
+  return {
+    name,
+    model,
+    async complete(request) {
+      const completion = await client.chat.completions.create(body(request), { signal: request.signal });
+      return completion.choices[0].message.content;
+    },
+    async *stream(request) {
+      const chunks = await client.chat.completions.create({ ...body(request), stream: true }, { signal: request.signal });
+      for await (const chunk of chunks) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+registerLLMProvider('groq', config => {
+  if (!process.env.GROQ_API_KEY) throw new Error('GROQ_API_KEY is not set');
+  return createOpenAICompatibleProvider('groq', {
     apiKey: process.env.GROQ_API_KEY,
-    baseURL: 'https://api.groq.com/openai/v1'
+    baseURL: 'https://api.groq.com/openai/v1',
+    model: config.model || 'llama-3.3-70b-versatile'  // Fastest model on Groq
   });
-  console.log('🚀 Groq AI initialized');
-} else {
-  console.log('⚠️ Groq API key not found. AI Coach will use fallback mode.');
+});
+
+registerLLMProvider('openai', config => createOpenAICompatibleProvider('openai', {
+  apiKey: config.apiKey,
+  baseURL: config.baseURL,
+  model: config.model || 'gpt-4o-mini'
+}));
+
+// The same messages always get the same reply, naming a digest of
+// everything it was sent so runs and providers can be compared
+registerLLMProvider('stub', config => {
+  const reply = request => {
+    const turns = request.messages.filter(message => message.role !== 'system');
+    const digest = createHash('sha256').update(JSON.stringify(request.messages)).digest('hex').slice(0, 12);
+    const last = turns[turns.length - 1];
+    return `[stub ${digest}] Coach reply to "${last ? last.content : ''}" after ${turns.length - 1} earlier messages.`;
+  };
+
+  return {
+    name: 'stub',
+    model: config.model || 'stub',
+    async complete(request) {
+      if (config.stubDelayMs) await sleep(config.stubDelayMs, null, { signal: request.signal });
+      return reply(request);
+    },
+    async *stream(request) {
+      if (config.stubDelayMs) await sleep(config.stubDelayMs, null, { signal: request.signal });
+      for (const word of reply(request).split(/(?<= )/)) yield word;
+    }
+  };
+});
+
+function createLLMProvider() {
+  if (LLM.provider === 'none') return null;
+  const create = llmProviders.get(LLM.provider);
+  try {
+    if (!create) throw new Error(`Unknown LLM provider: ${LLM.provider}`);
+    return create(LLM);
+  } catch (err) {
+    console.log(`⚠️ ${err.message}. AI Coach will use fallback mode.`);
+    return null;
+  }
+}
+
+const llmProvider = createLLMProvider();
+if (llmProvider) console.log(`🚀 LLM provider: ${llmProvider.name} (${llmProvider.model})`);
+
+// Least recently used answers are dropped first; a Map keeps insertion order
+const llmCache = new Map();
+
+function getLLMCacheKey(request) {
+  const { messages, temperature, maxTokens, topP } = request;
+  return createHash('sha256')
+    .update(JSON.stringify([llmProvider.name, llmProvider.model, messages, temperature, maxTokens, topP]))
+    .digest('hex');
+}
+
+function readLLMCache(key) {
+  const entry = llmCache.get(key);
+  if (!entry) return null;
+  llmCache.delete(key);
+  if (entry.expiresAt <= Date.now()) return null;
+  llmCache.set(key, entry);
+  return entry.text;
+}
+
+function writeLLMCache(key, text) {
+  if (LLM.cacheSeconds <= 0) return;
+  llmCache.set(key, { text, expiresAt: Date.now() + LLM.cacheSeconds * 1000 });
+  if (llmCache.size > LLM.cacheSize) llmCache.delete(llmCache.keys().next().value);
+}
+
+function isRetryableLLMError(err) {
+  return err.timedOut || err instanceof OpenAI.APIConnectionError ||
+    [408, 409, 429].includes(err.status) || err.status >= 500;
+}
+
+// Run one provider call with a timeout per attempt, retrying with backoff.
+// `signal` cancels the call outright (the client went away) and
+// `canRetry` lets a stream stop retrying once it has sent something.
+async function callLLM(attempt, { signal, canRetry = () => true } = {}) {
+  for (let tries = 0; ; tries++) {
+    if (signal?.aborted) throw Object.assign(new Error('LLM request cancelled'), { cancelled: true });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LLM.timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    try {
+      return await attempt(controller.signal);
+    } catch (err) {
+      if (signal?.aborted) throw Object.assign(new Error('LLM request cancelled'), { cancelled: true });
+      const failure = controller.signal.aborted
+        ? Object.assign(new Error(`LLM request timed out after ${LLM.timeoutMs}ms`), { timedOut: true })
+        : err;
+      if (tries >= LLM.retries || !isRetryableLLMError(failure) || !canRetry()) throw failure;
+      await sleep(500 * 2 ** tries, null, { signal }).catch(() => {});
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * One chat completion from the configured provider. `request` is
+ * { messages, temperature, maxTokens, topP, signal? }; resolves to
+ * { text, cached }. Throws when there is no provider, every attempt failed
+ * or `signal` aborted it (the error then has `cancelled` set).
+ */
+async function completeChat(request) {
+  if (!llmProvider) throw new Error('No LLM provider configured');
+  const key = getLLMCacheKey(request);
+  const cached = readLLMCache(key);
+  if (cached !== null) return { text: cached, cached: true };
+
+  const text = await callLLM(signal => llmProvider.complete({ ...request, signal }), { signal: request.signal });
+  writeLLMCache(key, text);
+  return { text, cached: false };
+}
+
+// Like completeChat, handing each piece of the reply to onText as it
+// arrives. A cached reply comes as one piece.
+async function streamChat(request, onText) {
+  if (!llmProvider) throw new Error('No LLM provider configured');
+  const key = getLLMCacheKey(request);
+  const cached = readLLMCache(key);
+  if (cached !== null) {
+    onText(cached);
+    return { text: cached, cached: true };
+  }
+
+  let started = false;
+  const text = await callLLM(async signal => {
+    let text = '';
+    for await (const piece of llmProvider.stream({ ...request, signal })) {
+      started = true;
+      text += piece;
+      onText(piece);
+    }
+    return text;
+  }, { signal: request.signal, canRetry: () => !started });
+  writeLLMCache(key, text);
+  return { text, cached: false };
 }
 
 
 // ====== DATABASE CONNECTION ======
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/fitquest';
 
-mongoose.connect(MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('✅ Connected to MongoDB'))
-.catch(err => {
-  console.error('❌ MongoDB connection error:', err);
-  // In production, we might want to continue without DB
-  if (process.env.NODE_ENV === 'production') {
-    console.log('⚠️ Continuing without database connection...');
-  }
-});
+if (isMainModule) {
+  mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('✅ Connected to MongoDB');
+    return backfillLeaderboardScores().catch(err => console.error('❌ Leaderboard backfill error:', err));
+  })
+  .catch(err => {
+    console.error('❌ MongoDB connection error:', err);
+    // In production, we might want to continue without DB
+    if (process.env.NODE_ENV === 'production') {
+      console.log('⚠️ Continuing without database connection...');
+    }
+  });
+}
 
 // ====== GAME SCHEMAS ======
 const questSchema = new mongoose.Schema({
   title: String,
   description: String,
-  type: { type: String, enum: ['workout', 'hydration', 'boss'] },
+  type: { type: String, enum: ['workout', 'hydration', 'battle', 'boss'] },
   requirement: Number,
   reward: { xp: Number, gold: Number },
-  completed: { type: Boolean, default: false }
+  // What the quest counts towards `requirement`:
+  //   exercise - EXERCISES catalog id to match (empty = any workout)
+  //   metric   - reps | sets | volume (reps x weight, set by set) | cups | battles_won | bosses_defeated
+  //   boss     - boss id, for bosses_defeated
+  //   window   - quest (since accepted) | day | week
+  tracking: {
+    exercise: String,
+    metric: { type: String, enum: ['reps', 'sets', 'volume', 'cups', 'battles_won', 'bosses_defeated'] },
+    boss: String,
+    window: { type: String, enum: ['quest', 'day', 'week'], default: 'quest' }
+  },
+  completed: { type: Boolean, default: false },
+  status: { type: String, enum: ['active', 'claimed', 'expired'], default: 'active' },
+  board: { type: String, enum: ['daily', 'weekly'] },
+  templateId: String,
+  periodKey: String,
+  acceptedAt: { type: Date, default: Date.now },
+  expiresAt: Date,
+  claimedAt: Date
 });
 
 const battleSchema = new mongoose.Schema({
@@ -111,57 +360,579 @@ const battleSchema = new mongoose.Schema({
   enemyMaxHP: Number,
   enemyDamage: Number,
   enemyDescription: String,
+  bossId: String,
+  reward: { xp: Number, gold: Number },
   userHP: Number,
   userMaxHP: Number,
   completed: { type: Boolean, default: false },
   victory: { type: Boolean, default: false },
   fled: { type: Boolean, default: false },
-  date: { type: Date, default: Date.now }
+  date: { type: Date, default: Date.now },
+  completedAt: Date,
+  // Each round's RNG is seeded from `seed` and the round number, so a fight
+  // can be replayed exactly
+  seed: String,
+  round: { type: Number, default: 0 },
+  log: [{
+    round: Number,
+    actor: { type: String, enum: ['hero', 'enemy'] },
+    action: String,
+    damage: Number,
+    critical: Boolean,
+    dodged: Boolean,
+    message: String
+  }]
+});
+
+// One set within a session exercise. `reps` counts the exercise's unit
+// (reps, or meters for distance work); `duration` is in seconds.
+const workoutSetSchema = new mongoose.Schema({
+  reps: { type: Number, default: 0 },
+  weight: { type: Number, default: 0 },
+  duration: Number,
+  rpe: { type: Number, min: 1, max: 10 },
+  completedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const workoutSessionSchema = new mongoose.Schema({
+  // `pending` while it waits in the moderation queue; `rejected` if it was
+  // turned down there
+  status: { type: String, enum: ['active', 'pending', 'finished', 'rejected'], default: 'active' },
+  startedAt: { type: Date, default: Date.now },
+  endedAt: Date,
+  exercises: [{
+    exerciseId: String,
+    name: String,
+    sets: [workoutSetSchema]
+  }],
+  notes: String,
+  streakMultiplier: { type: Number, default: 1 },
+  // Share of its XP the session earned under the anti-cheat allowance
+  xpFactor: { type: Number, default: 1 },
+  // Bonus for the personal records set in it, before multipliers
+  prBonusXP: { type: Number, default: 0 },
+  xp: Number
 });
 
 // ====== USER SCHEMA ======
+// Water, potions and bought health all stop here
+const MAX_HEALTH = 100;
+
 const userSchema = new mongoose.Schema({
   email: { type: String, unique: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
   password: String,
+  // Moderators review flagged activity. Granted by hand in the database.
+  role: { type: String, enum: ['player', 'moderator'], default: 'player' },
   heroName: String,
+  timezone: { type: String, default: 'UTC' },
   stats: { 
     strength: { type: Number, default: 5 }, 
     stamina: { type: Number, default: 5 }, 
     agility: { type: Number, default: 5 },
-    health: { type: Number, default: 100 }
+    health: { type: Number, default: MAX_HEALTH }
   },
   level: { type: Number, default: 1 },
   xp: { type: Number, default: 0 },
   gold: { type: Number, default: 100 },
+  // Water is always stored in cups; `unit` only changes how it is shown
+  hydration: {
+    goalCups: { type: Number, default: 8 },
+    goalSource: { type: String, enum: ['default', 'custom', 'bodyweight'], default: 'default' },
+    unit: { type: String, enum: ['cups', 'ml'], default: 'cups' },
+    bodyWeightKg: Number
+  },
   waterIntake: [{ 
     date: { type: String, default: () => new Date().toISOString().split('T')[0] }, 
-    cups: Number 
+    cups: Number,
+    goal: Number,
+    logs: [{ cups: Number, xp: Number, health: Number, date: { type: Date, default: Date.now } }]
   }],
   workouts: [{ 
+    exerciseId: String,
     name: String, 
     reps: Number, 
+    sets: { type: Number, default: 1 },
     weight: Number, 
+    setDetails: [workoutSetSchema],
+    sessionId: mongoose.Schema.Types.ObjectId,
+    sessionEntryId: mongoose.Schema.Types.ObjectId,
+    personalRecords: [{
+      type: { type: String, enum: ['weight', 'reps', 'estimated1RM', 'volume'] },
+      value: Number,
+      previous: Number,
+      weight: Number
+    }],
+    streakMultiplier: { type: Number, default: 1 },
+    // Anti-cheat allowance: share of the XP it earned, and why it was cut
+    xpFactor: { type: Number, default: 1 },
+    xpAdjustments: [String],
     xp: Number,
-    date: { type: Date, default: Date.now }
+    date: { type: Date, default: Date.now },
+    // When it was sent. `date` can be edited, so the XP allowance and
+    // streaks go by this instead; older rows only have `date`
+    loggedAt: { type: Date, immutable: true }
   }],
   activeQuests: [questSchema],
   completedQuests: [questSchema],
+  archivedQuests: [questSchema],
+  sessions: [workoutSessionSchema],
   battles: [battleSchema],
-  inventory: [{ item: String, quantity: Number }]
+  inventory: [{ item: String, quantity: Number }],
+  trophies: [{ bossId: String, name: String, date: { type: Date, default: Date.now } }],
+  levelUps: [{
+    level: Number,
+    source: String,
+    statGains: { strength: Number, stamina: Number, agility: Number, health: Number },
+    date: { type: Date, default: Date.now }
+  }],
+  // Local days covered by a streak freeze, and the streak milestones and
+  // daily rewards already paid out
+  frozenStreakDays: [String],
+  streakMilestones: [{
+    type: { type: String },
+    days: Number,
+    startedOn: String,
+    date: { type: Date, default: Date.now }
+  }],
+  dailyRewards: [{ date: String, streak: Number, xp: Number, gold: Number }],
+  achievements: [{ achievementId: String, unlockedAt: { type: Date, default: Date.now } }],
+  activeBuffs: [{
+    item: String,
+    stat: { type: String, enum: ['strength', 'stamina', 'agility'] },
+    amount: Number,
+    expiresAt: Date
+  }],
+  friends: [{ user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, since: { type: Date, default: Date.now } }],
+  friendRequests: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    direction: { type: String, enum: ['incoming', 'outgoing'] },
+    date: { type: Date, default: Date.now }
+  }],
+  privacy: {
+    showOnLeaderboards: { type: Boolean, default: true },
+    allowFriendRequests: { type: Boolean, default: true }
+  },
+  guild: { type: mongoose.Schema.Types.ObjectId, ref: 'Guild', default: null },
+  pvp: {
+    rating: { type: Number, default: 1000 },
+    wins: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 }
+  },
+  duelHistory: [{
+    duel: { type: mongoose.Schema.Types.ObjectId, ref: 'Duel' },
+    opponent: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    opponentName: String,
+    result: { type: String, enum: ['win', 'loss', 'draw'] },
+    outcome: String,
+    goldChange: Number,
+    ratingChange: Number,
+    date: { type: Date, default: Date.now }
+  }],
+  // Denormalized scores so leaderboards can sort in the database:
+  // XP earned in the current (UTC, Monday-based) week, the hydration
+  // streak with the moment it lapses unless extended, all-time workout
+  // volume and battles won
+  leaderboard: {
+    weekKey: String,
+    weeklyXP: { type: Number, default: 0 },
+    hydrationStreak: { type: Number, default: 0 },
+    hydrationStreakUntil: Date,
+    totalVolume: { type: Number, default: 0 },
+    battlesWon: { type: Number, default: 0 }
+  }
+});
+
+// Events queued on a hero during a request go out once the save succeeds,
+// so pages never hear about XP or unlocks that didn't persist
+userSchema.post('save', function (doc) {
+  const pending = doc.$locals.pendingEvents || [];
+  doc.$locals.pendingEvents = [];
+  pending.forEach(event => publishEvent(doc._id, event.type, event.data));
 });
 
+userSchema.index({ heroName: 1 });
+userSchema.index({ 'leaderboard.weekKey': 1, 'leaderboard.weeklyXP': -1 });
+userSchema.index({ 'leaderboard.hydrationStreakUntil': 1, 'leaderboard.hydrationStreak': -1 });
+userSchema.index({ 'leaderboard.totalVolume': -1 });
+userSchema.index({ 'leaderboard.battlesWon': -1 });
+
 const User = mongoose.model("User", userSchema);
 
-// Secret key for signing tokens
-const JWT_SECRET = process.env.JWT_SECRET || 'your_fallback_secret_for_development';
+// ====== GUILD SCHEMAS ======
+const guildSchema = new mongoose.Schema({
+  name: { type: String, unique: true },
+  description: String,
+  inviteCode: { type: String, unique: true },
+  members: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String, enum: ['leader', 'officer', 'member'], default: 'member' },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  maxMembers: { type: Number, default: 20 },
+  // Set while a raid is running; doubles as the lock that stops two raids
+  // starting at once
+  activeRaid: { type: mongoose.Schema.Types.ObjectId, ref: 'Raid', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A raid's HP and every member's contribution are only ever changed with
+// atomic $inc updates, so simultaneous hits from many members all count
+const raidSchema = new mongoose.Schema({
+  guild: { type: mongoose.Schema.Types.ObjectId, ref: 'Guild', index: true },
+  bossId: String,
+  name: String,
+  maxHP: Number,
+  hp: Number,
+  status: { type: String, enum: ['active', 'defeated', 'failed'], default: 'active' },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  startsAt: { type: Date, default: Date.now },
+  endsAt: Date,
+  endedAt: Date,
+  rewardPool: { xp: Number, gold: Number },
+  rewardsReady: { type: Boolean, default: false },
+  contributions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    heroName: String,
+    damage: { type: Number, default: 0 },
+    hits: { type: Number, default: 0 },
+    reward: { xp: Number, gold: Number },
+    claimed: { type: Boolean, default: false }
+  }]
+});
+
+const Guild = mongoose.model("Guild", guildSchema);
+const Raid = mongoose.model("Raid", raidSchema);
+
+// ====== DUEL SCHEMA ======
+// Duels are between two heroes, so they live in their own collection rather
+// than in either hero's `battles`
+const duelSideSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  heroName: String,
+  level: Number,
+  maxHP: Number,
+  hp: Number,
+  damageDealt: { type: Number, default: 0 },
+  attacks: { type: Number, default: 0 },
+  lastAttackAt: Date,
+  ratingBefore: Number,
+  ratingChange: Number
+}, { _id: false });
+
+const duelSchema = new mongoose.Schema({
+  challenger: duelSideSchema,
+  opponent: duelSideSchema,
+  wager: { type: Number, default: 0 },
+  status: { type: String, enum: ['pending', 'active', 'completed', 'declined', 'cancelled', 'expired'], default: 'pending' },
+  // ko: someone hit 0 HP; timeout: the window closed; forfeit: one side never attacked
+  outcome: { type: String, enum: ['ko', 'timeout', 'forfeit', 'draw'] },
+  winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  seed: String,
+  createdAt: { type: Date, default: Date.now },
+  respondBy: Date,
+  startedAt: Date,
+  endsAt: Date,
+  completedAt: Date,
+  log: [{
+    attacker: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    heroName: String,
+    workoutId: mongoose.Schema.Types.ObjectId,
+    action: String,
+    damage: Number,
+    critical: Boolean,
+    dodged: Boolean,
+    message: String,
+    date: { type: Date, default: Date.now }
+  }]
+});
+
+duelSchema.index({ 'challenger.user': 1, status: 1 });
+duelSchema.index({ 'opponent.user': 1, status: 1 });
+
+const Duel = mongoose.model("Duel", duelSchema);
+
+// ====== AUTH SESSION SCHEMA ======
+// One row per signed-in browser. Only a hash of the refresh token is kept;
+// the hash it replaced is remembered so a stolen, already-rotated token
+// being replayed can be spotted.
+const authSessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  previousTokenHash: String,
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: String
+});
+
+const AuthSession = mongoose.model("AuthSession", authSessionSchema);
+
+// Email verification and password reset links. The link carries a signed
+// token; this row is what makes it single-use.
+const accountTokenSchema = new mongoose.Schema({
+  jti: { type: String, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  purpose: { type: String, enum: ['verify_email', 'reset_password'] },
+  expiresAt: Date,
+  usedAt: { type: Date, default: null }
+});
+
+// MongoDB clears out expired links by itself
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+
+// ====== MODERATION SCHEMA ======
+// Workouts that looked implausible wait here instead of in the hero's
+// history. Approving one logs it then; rejecting it drops it. A held
+// session keeps its place in the hero's sessions, marked pending, and its
+// exercises are copied here for the moderator.
+const activityReviewSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  heroName: String,
+  exerciseId: String,
+  setDetails: [workoutSetSchema],
+  sessionId: mongoose.Schema.Types.ObjectId,
+  exercises: [{ exerciseId: String, setDetails: [workoutSetSchema] }],
+  reasons: [String],
+  // The XP allowance when it was logged, applied if it is approved
+  xpFactor: { type: Number, default: 1 },
+  xpAdjustments: [String],
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true },
+  loggedAt: { type: Date, default: Date.now },
+  reviewedAt: Date,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: String
+});
+
+const ActivityReview = mongoose.model("ActivityReview", activityReviewSchema);
+
+// ====== COACH CONVERSATION SCHEMA ======
+// One running conversation per hero with Coach AI. Older turns are folded
+// into `summary` (and marked `summarized`) so the model sees a short recap
+// plus the latest turns; the turns themselves stay for the chat history.
+const coachMessageSchema = new mongoose.Schema({
+  role: { type: String, enum: ['user', 'assistant'] },
+  content: String,
+  mode: String,
+  summarized: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const coachConversationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true },
+  summary: { type: String, default: '' },
+  messages: [coachMessageSchema],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const CoachConversation = mongoose.model("CoachConversation", coachConversationSchema);
+
+// Secret key for signing tokens. The fallback is only good enough for local
+// development; a production server refuses to start without a real one.
+const DEV_JWT_SECRET = 'your_fallback_secret_for_development';
+if (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEV_JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('❌ JWT_SECRET must be set in production');
+    process.exit(1);
+  }
+  console.warn('⚠️ JWT_SECRET not set, using the development fallback');
+}
+const JWT_SECRET = process.env.JWT_SECRET || DEV_JWT_SECRET;
 
 // ====== GAME DATA ======
+// Exercise catalog. Everything that cares which exercise was done (XP, stat
+// growth, quests, recommendations) keys off `id`:
+//   stat      - stat the exercise trains and boosts on level-up
+//   unit      - what `reps` counts: reps | seconds | meters
+//   met       - metabolic equivalent, for effort/calorie estimates
+//   intensity - multiplier on the XP earned per unit
+//   baseTarget - suggested amount per set for a level-1 hero
+//   limits    - the most one set can plausibly hold (`perSet` in the
+//               exercise's unit, `weight` in lbs); anything more is refused
+const EXERCISES = [
+  {
+    id: "squats",
+    name: "Squats",
+    aliases: ["squat", "bodyweight squats", "air squats"],
+    muscleGroups: ["quads", "glutes", "hamstrings"],
+    stat: "strength",
+    unit: "reps",
+    met: 5.0,
+    intensity: 1.0,
+    xpBonus: 5,
+    baseTarget: 12,
+    limits: { perSet: 200, weight: 300 },
+    icon: "🦵",
+    description: "Build powerful legs"
+  },
+  {
+    id: "pushups",
+    name: "Push-ups",
+    aliases: ["push up", "pushup"],
+    muscleGroups: ["chest", "triceps", "shoulders"],
+    stat: "strength",
+    unit: "reps",
+    met: 3.8,
+    intensity: 1.2,
+    xpBonus: 8,
+    baseTarget: 10,
+    limits: { perSet: 150, weight: 100 },
+    icon: "💪",
+    description: "Upper body strength"
+  },
+  {
+    id: "weighted_lunges",
+    name: "Lunges with Weights",
+    aliases: ["weighted lunges", "dumbbell lunges"],
+    muscleGroups: ["quads", "glutes", "hamstrings"],
+    stat: "strength",
+    unit: "reps",
+    met: 5.0,
+    intensity: 1.1,
+    xpBonus: 6,
+    baseTarget: 10,
+    limits: { perSet: 100, weight: 250 },
+    icon: "🏋️",
+    description: "Leg strength and balance"
+  },
+  {
+    id: "plank",
+    name: "Plank",
+    aliases: ["planks", "plank hold"],
+    muscleGroups: ["core"],
+    stat: "stamina",
+    unit: "seconds",
+    met: 3.0,
+    intensity: 1.0,
+    xpBonus: 3,
+    baseTarget: 30,
+    limits: { perSet: 1200, weight: 100 },
+    icon: "⏱️",
+    description: "Core endurance"
+  },
+  {
+    id: "crunches",
+    name: "Crunches",
+    aliases: ["crunch", "sit ups", "situps"],
+    muscleGroups: ["abs"],
+    stat: "stamina",
+    unit: "reps",
+    met: 2.8,
+    intensity: 0.8,
+    xpBonus: 2,
+    baseTarget: 20,
+    limits: { perSet: 300, weight: 100 },
+    icon: "🔥",
+    description: "Ab strength"
+  },
+  {
+    id: "mountain_climbers",
+    name: "Mountain Climbers",
+    aliases: ["mountain climber"],
+    muscleGroups: ["core", "shoulders", "legs"],
+    stat: "stamina",
+    unit: "reps",
+    met: 8.0,
+    intensity: 1.0,
+    xpBonus: 4,
+    baseTarget: 20,
+    limits: { perSet: 300, weight: 50 },
+    icon: "⛰️",
+    description: "Full body cardio"
+  },
+  {
+    id: "running",
+    name: "Running",
+    aliases: ["run", "jog", "jogging"],
+    muscleGroups: ["legs", "cardio"],
+    stat: "stamina",
+    unit: "meters",
+    met: 9.8,
+    intensity: 1.0,
+    xpBonus: 5,
+    baseTarget: 1000,
+    limits: { perSet: 50000, weight: 50 },
+    icon: "🏃‍♂️",
+    description: "Build your endurance engine"
+  },
+  {
+    id: "lunges",
+    name: "Lunges",
+    aliases: ["lunge", "walking lunges"],
+    muscleGroups: ["quads", "glutes"],
+    stat: "agility",
+    unit: "reps",
+    met: 4.0,
+    intensity: 1.0,
+    xpBonus: 4,
+    baseTarget: 10,
+    limits: { perSet: 150, weight: 150 },
+    icon: "🚶",
+    description: "Legs and balance"
+  },
+  {
+    id: "jumping_jacks",
+    name: "Jumping Jacks",
+    aliases: ["jumping jack", "star jumps"],
+    muscleGroups: ["full body", "cardio"],
+    stat: "agility",
+    unit: "reps",
+    met: 8.0,
+    intensity: 0.8,
+    xpBonus: 3,
+    baseTarget: 25,
+    limits: { perSet: 500, weight: 20 },
+    icon: "⚡",
+    description: "Full body cardio"
+  },
+  {
+    id: "high_knees",
+    name: "High Knees",
+    aliases: ["high knee"],
+    muscleGroups: ["legs", "core", "cardio"],
+    stat: "agility",
+    unit: "reps",
+    met: 8.0,
+    intensity: 0.8,
+    xpBonus: 3,
+    baseTarget: 20,
+    limits: { perSet: 500, weight: 20 },
+    icon: "🏃",
+    description: "Speed and coordination"
+  },
+  {
+    id: "lateral_lunges",
+    name: "Lateral Lunges",
+    aliases: ["side lunges", "lateral lunge"],
+    muscleGroups: ["adductors", "glutes", "quads"],
+    stat: "agility",
+    unit: "reps",
+    met: 4.0,
+    intensity: 1.0,
+    xpBonus: 4,
+    baseTarget: 12,
+    limits: { perSet: 100, weight: 200 },
+    icon: "🦵↔️",
+    description: "Side-to-side movement"
+  }
+];
+
+// Static quests from before the rotating boards. Heroes may still have these
+// in progress, so their tracking is looked up here by title.
 const QUESTS = [
   {
     title: "First Steps",
     description: "Complete 10 squats to strengthen your legs",
     type: "workout",
     requirement: 10,
+    tracking: { exercise: "squats", metric: "reps", window: "quest" },
     reward: { xp: 50, gold: 25 }
   },
   {
@@ -169,6 +940,7 @@ const QUESTS = [
     description: "Drink 4 cups of water today",
     type: "hydration",
     requirement: 4,
+    tracking: { metric: "cups", window: "day" },
     reward: { xp: 30, gold: 15 }
   },
   {
@@ -176,727 +948,6262 @@ const QUESTS = [
     description: "Complete 15 push-ups for upper body strength",
     type: "workout", 
     requirement: 15,
+    tracking: { exercise: "pushups", metric: "reps", window: "quest" },
     reward: { xp: 75, gold: 35 }
+  },
+  {
+    title: "Water Warrior",
+    description: "Drink 8 cups of water today",
+    type: "hydration",
+    requirement: 8,
+    tracking: { metric: "cups", window: "day" },
+    reward: { xp: 60, gold: 30 }
+  },
+  {
+    title: "Leg Day Legend",
+    description: "Complete 30 squats to build unstoppable legs",
+    type: "workout",
+    requirement: 30,
+    tracking: { exercise: "squats", metric: "reps", window: "quest" },
+    reward: { xp: 100, gold: 50 }
+  },
+  {
+    title: "Iron Mover",
+    description: "Move 1000 lbs of total volume (reps x weight)",
+    type: "workout",
+    requirement: 1000,
+    tracking: { metric: "volume", window: "quest" },
+    reward: { xp: 90, gold: 45 }
+  },
+  {
+    title: "Arena Challenger",
+    description: "Win 2 battles in the arena",
+    type: "battle",
+    requirement: 2,
+    tracking: { metric: "battles_won", window: "quest" },
+    reward: { xp: 120, gold: 60 }
+  }
+];
+
+// Rotating quest board templates. `requirement` is the level-1 target and
+// grows by `perLevel` each level up to `maxRequirement`; `{n}` in the
+// description is replaced with the scaled requirement.
+const QUEST_TEMPLATES = [
+  {
+    id: "daily_squats",
+    board: "daily",
+    title: "Squat Session",
+    description: "Complete {n} squats today",
+    type: "workout",
+    requirement: 20,
+    perLevel: 2,
+    maxRequirement: 100,
+    tracking: { exercise: "squats", metric: "reps" },
+    reward: { xp: 40, gold: 20 }
+  },
+  {
+    id: "daily_pushups",
+    board: "daily",
+    title: "Push-up Power",
+    description: "Complete {n} push-ups today",
+    type: "workout",
+    requirement: 15,
+    perLevel: 1.5,
+    maxRequirement: 80,
+    tracking: { exercise: "pushups", metric: "reps" },
+    reward: { xp: 45, gold: 20 }
+  },
+  {
+    id: "daily_plank",
+    board: "daily",
+    title: "Core of Steel",
+    description: "Hold a plank for {n} seconds in total today",
+    type: "workout",
+    requirement: 60,
+    perLevel: 10,
+    maxRequirement: 300,
+    tracking: { exercise: "plank", metric: "reps" },
+    reward: { xp: 40, gold: 20 }
+  },
+  {
+    id: "daily_water",
+    board: "daily",
+    title: "Hydration Hero",
+    description: "Drink {n} cups of water today",
+    type: "hydration",
+    requirement: 6,
+    perLevel: 0.2,
+    maxRequirement: 10,
+    tracking: { metric: "cups" },
+    reward: { xp: 30, gold: 15 }
+  },
+  {
+    id: "daily_volume",
+    board: "daily",
+    title: "Heavy Lifter",
+    description: "Move {n} lbs of total volume (reps x weight) today",
+    type: "workout",
+    requirement: 500,
+    perLevel: 100,
+    maxRequirement: 5000,
+    tracking: { metric: "volume" },
+    reward: { xp: 50, gold: 25 }
+  },
+  {
+    id: "daily_battle",
+    board: "daily",
+    title: "Arena Warm-up",
+    description: "Win {n} battle in the arena today",
+    type: "battle",
+    requirement: 1,
+    perLevel: 0,
+    tracking: { metric: "battles_won" },
+    reward: { xp: 50, gold: 30 }
+  },
+  {
+    id: "weekly_sets",
+    board: "weekly",
+    title: "Consistency Champion",
+    description: "Complete {n} sets of any exercise this week",
+    type: "workout",
+    requirement: 30,
+    perLevel: 3,
+    maxRequirement: 150,
+    tracking: { metric: "sets" },
+    reward: { xp: 200, gold: 100 }
+  },
+  {
+    id: "weekly_water",
+    board: "weekly",
+    title: "Water Warrior",
+    description: "Drink {n} cups of water this week",
+    type: "hydration",
+    requirement: 40,
+    perLevel: 1,
+    maxRequirement: 70,
+    tracking: { metric: "cups" },
+    reward: { xp: 150, gold: 75 }
+  },
+  {
+    id: "weekly_battles",
+    board: "weekly",
+    title: "Arena Challenger",
+    description: "Win {n} battles this week",
+    type: "battle",
+    requirement: 3,
+    perLevel: 0.2,
+    maxRequirement: 10,
+    tracking: { metric: "battles_won" },
+    reward: { xp: 250, gold: 125 }
+  },
+  {
+    id: "weekly_squats",
+    board: "weekly",
+    title: "Leg Day Legend",
+    description: "Complete {n} squats this week",
+    type: "workout",
+    requirement: 150,
+    perLevel: 15,
+    maxRequirement: 600,
+    tracking: { exercise: "squats", metric: "reps" },
+    reward: { xp: 220, gold: 110 }
+  },
+  {
+    id: "weekly_volume",
+    board: "weekly",
+    title: "Iron Mover",
+    description: "Move {n} lbs of total volume (reps x weight) this week",
+    type: "workout",
+    requirement: 5000,
+    perLevel: 750,
+    maxRequirement: 40000,
+    tracking: { metric: "volume" },
+    reward: { xp: 240, gold: 120 }
   }
 ];
 
+// How many quests each board offers per period
+const QUEST_BOARD_SIZE = { daily: 3, weekly: 2 };
+
 const ENEMIES = [
   { 
     name: "The Lazy Dragon", 
+    tier: 1,
+    minLevel: 1,
+    maxLevel: 6,
     hp: 50, 
     damage: 8,
+    traits: {},
+    evasion: 0.05,
+    moves: [
+      { name: "Tail Swipe", multiplier: 1, weight: 3 },
+      { name: "Drowsy Breath", multiplier: 0.6, weight: 2 },
+      { name: "Big Yawn", multiplier: 0, weight: 1, message: "The Lazy Dragon yawns and skips its turn" }
+    ],
     reward: { xp: 100, gold: 50 },
     description: "A sleepy dragon that hates exercise!"
   },
   { 
     name: "Procrastination Golem", 
+    tier: 2,
+    minLevel: 3,
+    maxLevel: 12,
     hp: 80, 
     damage: 12,
+    traits: { armor: 0.15 },
+    evasion: 0.03,
+    moves: [
+      { name: "Excuse Slam", multiplier: 1, weight: 3 },
+      { name: "Deadline Crush", multiplier: 1.5, weight: 1 },
+      { name: "Maybe Tomorrow", multiplier: 0, weight: 1, message: "Procrastination Golem decides to attack tomorrow instead" }
+    ],
     reward: { xp: 150, gold: 75 },
     description: "A creature made of excuses and delays"
   },
   { 
     name: "Motivation Slayer", 
+    tier: 3,
+    minLevel: 8,
+    maxLevel: 20,
     hp: 120, 
     damage: 15,
+    traits: { enrage: { threshold: 0.5, multiplier: 1.4 } },
+    evasion: 0.1,
+    moves: [
+      { name: "Will Drain", multiplier: 0.8, weight: 2 },
+      { name: "Doubt Strike", multiplier: 1.2, weight: 2 },
+      { name: "Crushing Despair", multiplier: 1.6, weight: 1 }
+    ],
     reward: { xp: 200, gold: 100 },
     description: "Drains your will to workout"
   },
   { 
     name: "Couch Potato Titan", 
+    tier: 4,
+    minLevel: 15,
+    maxLevel: Infinity,
     hp: 150, 
     damage: 18,
+    traits: { armor: 0.1, regen: 4 },
+    evasion: 0.02,
+    moves: [
+      { name: "Snack Attack", multiplier: 0.9, weight: 2 },
+      { name: "Couch Slam", multiplier: 1.3, weight: 2 },
+      { name: "Remote Throw", multiplier: 1.1, weight: 1 },
+      { name: "Nap Time", multiplier: 0, weight: 1, message: "Couch Potato Titan dozes off mid-fight" }
+    ],
     reward: { xp: 250, gold: 125 },
     description: "A titan made of laziness and snacks"
   }
 ];
 
-// ====== MIDDLEWARE ======
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ message: "No token provided" });
+// Bosses unlock once a hero has claimed enough quests (and beaten any earlier
+// bosses). The first victory grants the permanent stat boost and trophy;
+// rematches only pay out XP and gold.
+const BOSSES = [
+  {
+    id: "sloth_king",
+    name: "The Sloth King",
+    description: "Ruler of the couch kingdom, he has not stood up in a century",
+    minLevel: 3,
+    hp: 300,
+    damage: 20,
+    evasion: 0.05,
+    traits: { regen: 5 },
+    moves: [
+      { name: "Royal Decree of Rest", multiplier: 0.8, weight: 2 },
+      { name: "Scepter Smash", multiplier: 1.3, weight: 2 },
+      { name: "Endless Nap", multiplier: 0, weight: 1, message: "The Sloth King drifts off and regains his strength" }
+    ],
+    unlock: { questsCompleted: 3, level: 3, bossesDefeated: [] },
+    reward: { xp: 500, gold: 250, stats: { strength: 2 }, trophy: "Crown of the Sloth King" }
+  },
+  {
+    id: "excuse_hydra",
+    name: "The Excuse Hydra",
+    description: "Cut off one excuse and two more grow back",
+    minLevel: 8,
+    hp: 600,
+    damage: 28,
+    evasion: 0.08,
+    traits: { armor: 0.2, enrage: { threshold: 0.4, multiplier: 1.5 } },
+    moves: [
+      { name: "Too Tired Bite", multiplier: 1, weight: 3 },
+      { name: "No Time Lash", multiplier: 1.2, weight: 2 },
+      { name: "Triple Excuse", multiplier: 1.8, weight: 1 }
+    ],
+    unlock: { questsCompleted: 10, level: 8, bossesDefeated: ["sloth_king"] },
+    reward: { xp: 1000, gold: 500, stats: { stamina: 3 }, trophy: "Hydra Scale Shield" }
+  },
+  {
+    id: "burnout_behemoth",
+    name: "The Burnout Behemoth",
+    description: "Born from every skipped rest day, it feeds on exhaustion",
+    minLevel: 15,
+    hp: 1200,
+    damage: 40,
+    evasion: 0.1,
+    traits: { armor: 0.15, regen: 10, enrage: { threshold: 0.3, multiplier: 1.6 } },
+    moves: [
+      { name: "Overtraining Crush", multiplier: 1.2, weight: 3 },
+      { name: "Sleepless Roar", multiplier: 0.9, weight: 2 },
+      { name: "Total Collapse", multiplier: 2, weight: 1 }
+    ],
+    unlock: { questsCompleted: 25, level: 15, bossesDefeated: ["excuse_hydra"] },
+    reward: { xp: 2500, gold: 1200, stats: { agility: 3, strength: 2 }, trophy: "Heart of the Behemoth" }
+  }
+];
 
-  const token = authHeader.split(" ")[1];
+// Items sold in the shop. Consumables stack in the inventory up to
+// `maxStack` and are applied with /inventory/use: `heal` restores health
+// immediately, `buff` raises a stat for `durationMinutes`.
+const SHOP_ITEMS = [
+  {
+    id: "health_potion",
+    name: "Health Potion",
+    description: "Restores 25 health",
+    icon: "❤️",
+    price: 30,
+    maxStack: 20,
+    effect: { type: "heal", amount: 25 }
+  },
+  {
+    id: "strength_potion",
+    name: "Strength Potion",
+    description: "+2 Strength for 30 minutes",
+    icon: "💪",
+    price: 50,
+    maxStack: 10,
+    effect: { type: "buff", stat: "strength", amount: 2, durationMinutes: 30 }
+  },
+  {
+    id: "stamina_elixir",
+    name: "Stamina Elixir",
+    description: "+2 Stamina for 30 minutes",
+    icon: "⚡",
+    price: 50,
+    maxStack: 10,
+    effect: { type: "buff", stat: "stamina", amount: 2, durationMinutes: 30 }
+  },
+  {
+    id: "agility_tonic",
+    name: "Agility Tonic",
+    description: "+2 Agility for 30 minutes",
+    icon: "🏃",
+    price: 50,
+    maxStack: 10,
+    effect: { type: "buff", stat: "agility", amount: 2, durationMinutes: 30 }
+  },
+  {
+    id: "streak_freeze",
+    name: "Streak Freeze",
+    description: "Saves your streaks when you miss a day. Used automatically",
+    icon: "🧊",
+    price: 75,
+    maxStack: 2,
+    effect: { type: "passive" }
+  }
+];
+
+// ====== TIME & RANDOMNESS HELPERS ======
+// Local calendar days are passed around as YYYY-MM-DD strings
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
   } catch (err) {
-    res.status(401).json({ message: "Invalid or expired token" });
+    return false;
   }
-};
+}
 
-// ====== API ENDPOINTS ======
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
 
-// Register
-app.post("/register", async (req, res) => {
-  try {
-    const { email, password, heroName } = req.body;
-    const hashed = await bcrypt.hash(password, 10);
+// Calendar day (YYYY-MM-DD) of an instant as seen in the given time zone
+function getLocalDateString(date, timeZone = 'UTC') {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
 
-    const user = new User({
-      email,
-      password: hashed,
-      heroName,
-      stats: { strength: 5, stamina: 5, agility: 5, health: 100 },
-      level: 1,
-      xp: 0,
-      gold: 100,
-    });
+function addDaysToDateString(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
 
-    await user.save();
-    res.json({ success: true, message: "User registered" });
-  } catch (err) {
-    if (err.code === 11000) {
-      res.status(400).json({ success: false, message: "Email already exists" });
-    } else {
-      res.status(500).json({ success: false, message: "Server error" });
-    }
+// UTC instant of local midnight at the start of a YYYY-MM-DD day
+function getZonedMidnight(dateString, timeZone = 'UTC') {
+  const offsetAt = instant => {
+    const p = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+  };
+  const guess = Date.parse(`${dateString}T00:00:00Z`);
+  const firstTry = guess - offsetAt(guess);
+  // Re-check once in case a DST change falls between the guess and midnight
+  return new Date(guess - offsetAt(firstTry));
+}
+
+// Bounds of the local day, or Monday-based week, that contains `date`
+function getPeriodBounds(period, date = new Date(), timeZone = 'UTC') {
+  let startDay = getLocalDateString(date, timeZone);
+  if (period === 'week') {
+    const weekday = new Date(`${startDay}T00:00:00Z`).getUTCDay();
+    startDay = addDaysToDateString(startDay, -((weekday + 6) % 7));
   }
-});
+  const endDay = addDaysToDateString(startDay, period === 'week' ? 7 : 1);
 
-// Login
-app.post("/login", async (req, res) => {
-  const { email, password } = req.body;
-  const user = await User.findOne({ email });
+  return {
+    key: startDay,
+    start: getZonedMidnight(startDay, timeZone),
+    end: getZonedMidnight(endDay, timeZone)
+  };
+}
 
-  if (!user) {
-    return res.status(400).json({ success: false, message: "User not found" });
+// Deterministic PRNG (mulberry32) seeded from a string, so anything generated
+// from it can be reproduced from the same seed
+function createSeededRandom(seed) {
+  let state = 1779033703 ^ String(seed).length;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 3432918353);
+    state = (state << 13) | (state >>> 19);
   }
 
-  const valid = await bcrypt.compare(password, user.password);
-  if (!valid) {
-    return res.status(400).json({ success: false, message: "Incorrect password" });
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ====== STATS & BUFFS ======
+// Buffs that have not run out yet. Drinking the same potion again refreshes
+// its timer rather than stacking, so only the latest buff per item counts.
+function getActiveBuffs(user, now = new Date()) {
+  const latest = new Map();
+  for (const buff of user.activeBuffs || []) {
+    if (new Date(buff.expiresAt) <= now) continue;
+    const current = latest.get(buff.item);
+    if (!current || new Date(buff.expiresAt) > new Date(current.expiresAt)) {
+      latest.set(buff.item, buff);
+    }
   }
+  return [...latest.values()];
+}
 
-  const token = jwt.sign({ email: user.email, userId: user._id }, JWT_SECRET, { expiresIn: "2h" });
+// Base stats plus any active potion buffs
+function getEffectiveStats(user, now = new Date()) {
+  const stats = {
+    strength: user.stats.strength,
+    stamina: user.stats.stamina,
+    agility: user.stats.agility,
+    health: user.stats.health
+  };
+  for (const buff of getActiveBuffs(user, now)) {
+    stats[buff.stat] += buff.amount;
+  }
+  return stats;
+}
 
-  res.json({
-    success: true,
-    message: "Login successful",
-    token,
-    heroName: user.heroName,
-    stats: user.stats,
-    level: user.level,
-    gold: user.gold,
+// ====== EXERCISE CATALOG ======
+function normalizeExerciseName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Look up a catalog entry by id, name or alias. Client labels such as
+// "Squats (Legs)" resolve too, since parentheticals are ignored.
+function findExercise(idOrName) {
+  const key = normalizeExerciseName(idOrName);
+  if (!key) return null;
+
+  return EXERCISES.find(exercise =>
+    normalizeExerciseName(exercise.id) === key ||
+    normalizeExerciseName(exercise.name) === key ||
+    exercise.aliases.some(alias => normalizeExerciseName(alias) === key)
+  ) || null;
+}
+
+// Catalog id of a logged workout. Workouts saved before the catalog existed
+// only have a name, so they are resolved from it.
+function getWorkoutExerciseId(workout) {
+  if (workout.exerciseId) return workout.exerciseId;
+  const exercise = findExercise(workout.name);
+  return exercise ? exercise.id : null;
+}
+
+// When a workout was logged, which editing its date doesn't change
+function getWorkoutLoggedAt(workout) {
+  return workout.loggedAt || workout.date;
+}
+
+// ====== PROGRESSION ======
+// Each level costs more than the last: level 1 -> 2 takes `baseXP`, and every
+// level after that takes `xpGrowthPerLevel` more than the one before.
+const PROGRESSION = {
+  baseXP: 100,
+  xpGrowthPerLevel: 50,
+  statGrowthPerLevel: { strength: 1, stamina: 1, agility: 1, health: 10 },
+  focusStatBonus: 1
+};
+
+// XP needed to go from `level` to `level + 1`
+function xpToAdvance(level) {
+  return PROGRESSION.baseXP + PROGRESSION.xpGrowthPerLevel * (level - 1);
+}
+
+// Total XP a hero needs to have earned to reach `level`
+function totalXPForLevel(level) {
+  const steps = Math.max(level - 1, 0);
+  return PROGRESSION.baseXP * steps + PROGRESSION.xpGrowthPerLevel * (steps * (steps - 1)) / 2;
+}
+
+function getLevelForXP(xp) {
+  let level = 1;
+  while (totalXPForLevel(level + 1) <= xp) level++;
+  return level;
+}
+
+// Where the hero sits between their current level and the next. Heroes who
+// levelled under the old linear curve keep their level, so their progress
+// simply reads 0% until their XP catches up.
+function getLevelProgress(user) {
+  const level = user.level;
+  const levelStartXP = totalXPForLevel(level);
+  const nextLevelXP = totalXPForLevel(level + 1);
+  const span = nextLevelXP - levelStartXP;
+  const xpIntoLevel = Math.min(Math.max(user.xp - levelStartXP, 0), span);
+
+  return {
+    level,
+    xp: user.xp,
+    nextLevel: level + 1,
+    xpForNextLevel: nextLevelXP,
+    xpIntoLevel,
+    xpNeededForLevel: span,
+    xpToNextLevel: Math.max(nextLevelXP - user.xp, 0),
+    progressPercent: Math.round((xpIntoLevel / span) * 1000) / 10
+  };
+}
+
+/**
+ * Add XP to a hero and apply every level-up it earns. Each level grants the
+ * base stat growth, plus a bonus point in `focusStat` when the XP came from
+ * training that stat. Level-ups are recorded on `user.levelUps`.
+ *
+ * @param {object} user - User document (mutated, not saved)
+ * @param {number} amount - XP to add
+ * @param {object} [options]
+ * @param {string} [options.source] - what granted the XP (workout, battle, quest, water...)
+ * @param {string} [options.focusStat] - strength | stamina | agility
+ * @returns {{xpGained: number, leveledUp: boolean, levelsGained: number, newLevel: number, statGains: object, events: object[]}}
+ */
+function grantXP(user, amount, { source = 'unknown', focusStat = null } = {}) {
+  const xpGained = Math.max(Math.round(amount) || 0, 0);
+  user.xp += xpGained;
+  trackWeeklyXP(user, xpGained);
+
+  const previousLevel = user.level;
+  const targetLevel = Math.max(previousLevel, getLevelForXP(user.xp));
+  const statGains = { strength: 0, stamina: 0, agility: 0, health: 0 };
+  const events = [];
+
+  for (let level = previousLevel + 1; level <= targetLevel; level++) {
+    const gains = { ...PROGRESSION.statGrowthPerLevel };
+    if (focusStat && gains[focusStat] !== undefined) {
+      gains[focusStat] += PROGRESSION.focusStatBonus;
+    }
+    for (const [stat, value] of Object.entries(gains)) {
+      user.stats[stat] += value;
+      statGains[stat] += value;
+    }
+    user.levelUps.push({ level, source, statGains: gains, date: new Date() });
+    events.push({ type: 'level_up', level, source, statGains: gains });
+    queueUserEvent(user, 'level_up', { level, source, statGains: gains });
+  }
+
+  user.level = targetLevel;
+  if (xpGained > 0) {
+    queueUserEvent(user, 'xp_gained', { amount: xpGained, source, xp: user.xp, level: user.level });
+  }
+
+  return {
+    xpGained,
+    leveledUp: targetLevel > previousLevel,
+    levelsGained: targetLevel - previousLevel,
+    newLevel: targetLevel,
+    statGains,
+    events
+  };
+}
+
+/**
+ * Take XP back from a hero, e.g. when a logged workout is corrected or
+ * deleted. Level-ups the remaining XP no longer covers are undone, newest
+ * first, removing the stats they granted. Levels with no recorded level-up
+ * (earned before level-ups were tracked) are kept.
+ *
+ * @param {object} user - User document (mutated, not saved)
+ * @param {number} amount - XP to remove
+ * @returns {{xpRemoved: number, leveledDown: boolean, levelsLost: number, newLevel: number, statLosses: object}}
+ */
+function revokeXP(user, amount) {
+  const xpRemoved = Math.min(Math.max(Math.round(amount) || 0, 0), user.xp);
+  user.xp -= xpRemoved;
+  trackWeeklyXP(user, -xpRemoved);
+
+  const previousLevel = user.level;
+  const targetLevel = getLevelForXP(user.xp);
+  const statLosses = { strength: 0, stamina: 0, agility: 0, health: 0 };
+
+  while (user.level > targetLevel) {
+    const record = [...user.levelUps].reverse().find(entry => entry.level === user.level);
+    if (!record) break;
+
+    for (const stat of Object.keys(statLosses)) {
+      const value = (record.statGains && record.statGains[stat]) || 0;
+      user.stats[stat] = Math.max(user.stats[stat] - value, 0);
+      statLosses[stat] += value;
+    }
+    user.levelUps.pull(record._id);
+    user.level--;
+  }
+
+  return {
+    xpRemoved,
+    leveledDown: user.level < previousLevel,
+    levelsLost: previousLevel - user.level,
+    newLevel: user.level,
+    statLosses
+  };
+}
+
+// Keep the weekly XP leaderboard score current. Weeks are UTC so every hero
+// competes over the same window.
+function trackWeeklyXP(user, delta, now = new Date()) {
+  const { key } = getPeriodBounds('week', now, 'UTC');
+  if (user.leaderboard.weekKey !== key) {
+    user.leaderboard.weekKey = key;
+    user.leaderboard.weeklyXP = 0;
+  }
+  user.leaderboard.weeklyXP = Math.max(user.leaderboard.weeklyXP + delta, 0);
+}
+
+// Keep the total volume leaderboard score current as workouts are logged,
+// edited and deleted
+function trackWorkoutVolume(user, delta) {
+  user.leaderboard.totalVolume = Math.max((user.leaderboard.totalVolume || 0) + delta, 0);
+}
+
+// Apply an XP correction in either direction
+function adjustXP(user, delta, options) {
+  return delta >= 0 ? grantXP(user, delta, options) : revokeXP(user, -delta);
+}
+
+// ====== COMBAT ======
+const COMBAT_RULES = {
+  baseCritChance: 0.05,
+  critChancePerAgility: 0.01,
+  maxCritChance: 0.4,
+  critMultiplier: 1.5,
+  dodgeChancePerAgility: 0.015,
+  maxDodgeChance: 0.35,
+  damageReductionPerStamina: 0.01,
+  maxDamageReduction: 0.3,
+  extraTurnChancePerStamina: 0.01,
+  maxExtraTurnChance: 0.25,
+  followUpMultiplier: 0.5
+};
+
+// Agility drives crits and dodging; stamina soaks damage and earns follow-up strikes
+function getCombatChances(stats) {
+  return {
+    critChance: Math.min(COMBAT_RULES.baseCritChance + stats.agility * COMBAT_RULES.critChancePerAgility, COMBAT_RULES.maxCritChance),
+    dodgeChance: Math.min(stats.agility * COMBAT_RULES.dodgeChancePerAgility, COMBAT_RULES.maxDodgeChance),
+    damageReduction: Math.min(stats.stamina * COMBAT_RULES.damageReductionPerStamina, COMBAT_RULES.maxDamageReduction),
+    extraTurnChance: Math.min(stats.stamina * COMBAT_RULES.extraTurnChancePerStamina, COMBAT_RULES.maxExtraTurnChance)
+  };
+}
+
+function pickEnemyMove(enemy, random) {
+  const moves = enemy.moves && enemy.moves.length > 0
+    ? enemy.moves
+    : [{ name: "Attack", multiplier: 1, weight: 1 }];
+  const totalWeight = moves.reduce((sum, move) => sum + move.weight, 0);
+  let roll = random() * totalWeight;
+
+  for (const move of moves) {
+    roll -= move.weight;
+    if (roll < 0) return move;
+  }
+  return moves[moves.length - 1];
+}
+
+// Damage of a full-strength strike powered by a workout. `maxWorkDamage`
+// caps the workout's share; strength always adds in full.
+function getStrikeDamage(stats, attack, maxWorkDamage = Infinity) {
+  return Math.min(Math.floor(((attack.reps || 0) * (attack.weight || 1)) / 10), maxWorkDamage) + stats.strength;
+}
+
+/**
+ * Resolve one round of combat: the hero's strike (plus a possible follow-up),
+ * then the enemy's move if it is still standing.
+ *
+ * @param {object} options
+ * @param {object} options.stats - hero's effective stats
+ * @param {object} options.enemy - entry from ENEMIES or BOSSES (moves, evasion, traits, name)
+ * @param {number} options.enemyHP - enemy HP before the round
+ * @param {number} [options.enemyMaxHP] - enemy max HP, for regen and enrage traits
+ * @param {number} options.enemyDamage - enemy base damage per hit
+ * @param {number} options.heroHP - hero HP before the round
+ * @param {{reps: number, weight: number}} options.attack - the workout used to attack
+ * @param {number} [options.maxWorkDamage] - cap on the workout's share of a strike
+ * @param {function} [options.random] - returns a float in [0, 1); inject a seeded one for reproducible fights
+ * @returns {{turns: object[], damageDealt: number, damageTaken: number, enemyHP: number, heroHP: number}}
+ */
+function resolveCombatRound({ stats, enemy, enemyHP, enemyMaxHP = enemyHP, enemyDamage, heroHP, attack, maxWorkDamage, random = Math.random }) {
+  const chances = getCombatChances(stats);
+  const traits = enemy.traits || {};
+  const baseDamage = getStrikeDamage(stats, attack, maxWorkDamage);
+  const turns = [];
+  let damageDealt = 0;
+  let damageTaken = 0;
+
+  const heroStrike = (action, multiplier) => {
+    if (random() < (enemy.evasion || 0)) {
+      turns.push({ actor: 'hero', action, damage: 0, critical: false, dodged: true, message: `${enemy.name} dodged your ${action}!` });
+      return;
+    }
+    const critical = random() < chances.critChance;
+    const damage = Math.max(1, Math.round(
+      baseDamage * multiplier * (critical ? COMBAT_RULES.critMultiplier : 1) * (1 - (traits.armor || 0))
+    ));
+    enemyHP = Math.max(0, enemyHP - damage);
+    damageDealt += damage;
+    turns.push({
+      actor: 'hero',
+      action,
+      damage,
+      critical,
+      dodged: false,
+      message: `${critical ? 'Critical hit! ' : ''}Your ${action} dealt ${damage} damage!`
+    });
+  };
+
+  heroStrike('Strike', 1);
+
+  if (enemyHP > 0 && random() < chances.extraTurnChance) {
+    heroStrike('Follow-up', COMBAT_RULES.followUpMultiplier);
+  }
+
+  if (enemyHP > 0) {
+    const move = pickEnemyMove(enemy, random);
+    const enraged = traits.enrage && enemyHP <= enemyMaxHP * traits.enrage.threshold;
+    const moveName = enraged ? `enraged ${move.name}` : move.name;
+
+    if (move.multiplier === 0) {
+      turns.push({ actor: 'enemy', action: move.name, damage: 0, critical: false, dodged: false, message: move.message || `${enemy.name} used ${move.name}` });
+    } else if (random() < chances.dodgeChance) {
+      turns.push({ actor: 'enemy', action: move.name, damage: 0, critical: false, dodged: true, message: `You dodged ${enemy.name}'s ${moveName}!` });
+    } else {
+      const rage = enraged ? traits.enrage.multiplier : 1;
+      const damage = Math.max(1, Math.round(enemyDamage * move.multiplier * rage * (1 - chances.damageReduction)));
+      heroHP = Math.max(0, heroHP - damage);
+      damageTaken += damage;
+      turns.push({ actor: 'enemy', action: move.name, damage, critical: false, dodged: false, message: `${enemy.name} used ${moveName} for ${damage} damage!` });
+    }
+
+    if (traits.regen && enemyHP < enemyMaxHP) {
+      const healed = Math.min(traits.regen, enemyMaxHP - enemyHP);
+      enemyHP += healed;
+      turns.push({ actor: 'enemy', action: 'Regenerate', damage: 0, critical: false, dodged: false, message: `${enemy.name} regenerated ${healed} HP` });
+    }
+  }
+
+  return { turns, damageDealt, damageTaken, enemyHP, heroHP };
+}
+
+// Enemy stats grow with every level the hero is above the enemy's minimum
+function scaleEnemyToLevel(enemy, level) {
+  const levelsAbove = Math.max((level || 1) - (enemy.minLevel || 1), 0);
+  return {
+    ...enemy,
+    hp: Math.round(enemy.hp * (1 + levelsAbove * 0.12)),
+    damage: Math.round(enemy.damage * (1 + levelsAbove * 0.08)),
+    reward: {
+      xp: Math.round(enemy.reward.xp * (1 + levelsAbove * 0.1)),
+      gold: Math.round(enemy.reward.gold * (1 + levelsAbove * 0.1))
+    }
+  };
+}
+
+// Random regular enemy whose level range fits the hero
+function pickEnemyForLevel(level, random = Math.random) {
+  let candidates = ENEMIES.filter(enemy => level >= enemy.minLevel && level <= enemy.maxLevel);
+  if (candidates.length === 0) {
+    candidates = ENEMIES.filter(enemy => level >= enemy.minLevel);
+  }
+  if (candidates.length === 0) {
+    candidates = [ENEMIES[0]];
+  }
+  return candidates[Math.floor(random() * candidates.length)];
+}
+
+function getBossStatus(user, boss) {
+  const questsCompleted = user.completedQuests.filter(quest => quest.status !== 'expired').length;
+  const defeatedIds = new Set(user.battles.filter(battle => battle.victory && battle.bossId).map(battle => battle.bossId));
+  const unlocked = questsCompleted >= boss.unlock.questsCompleted &&
+    user.level >= boss.unlock.level &&
+    boss.unlock.bossesDefeated.every(id => defeatedIds.has(id));
+
+  return {
+    unlocked,
+    defeated: defeatedIds.has(boss.id),
+    requirements: {
+      questsCompleted: { required: boss.unlock.questsCompleted, current: questsCompleted },
+      level: { required: boss.unlock.level, current: user.level },
+      bossesDefeated: boss.unlock.bossesDefeated
+    }
+  };
+}
+
+// Offer a boss quest for every unlocked boss the hero has not beaten yet.
+// Returns whether anything changed.
+function syncBossQuests(user) {
+  let changed = false;
+
+  for (const boss of BOSSES) {
+    const status = getBossStatus(user, boss);
+    const offered = [...user.activeQuests, ...user.completedQuests]
+      .some(quest => quest.type === 'boss' && quest.tracking && quest.tracking.boss === boss.id);
+
+    if (status.unlocked && !status.defeated && !offered) {
+      user.activeQuests.push({
+        title: `Boss: ${boss.name}`,
+        description: `${boss.description}. Defeat it in the battle arena!`,
+        type: 'boss',
+        requirement: 1,
+        tracking: { metric: 'bosses_defeated', boss: boss.id, window: 'quest' },
+        reward: { xp: Math.round(boss.reward.xp / 5), gold: Math.round(boss.reward.gold / 5) },
+        status: 'active',
+        acceptedAt: new Date()
+      });
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+// ====== AUTH TOKENS ======
+// Short-lived access tokens go in the Authorization header. Each one names
+// its sign-in session (`sid`), so logging out or revoking the session cuts
+// it off at once. The long-lived refresh token lives in an httpOnly cookie
+// as `<sessionId>.<secret>` and is swapped for a new one on every refresh.
+const AUTH = {
+  accessTokenTTL: '15m',
+  refreshTokenDays: 30,
+  // A second tab refreshing with the token another tab just rotated is
+  // not treated as a replay inside this window
+  rotationGraceSeconds: 30,
+  refreshCookie: 'fitquest_refresh'
+};
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function issueAccessToken(user, sessionId) {
+  return jwt.sign({ email: user.email, userId: user._id, sid: sessionId }, JWT_SECRET, { expiresIn: AUTH.accessTokenTTL });
+}
+
+function getRefreshExpiry(from = new Date()) {
+  return new Date(from.getTime() + AUTH.refreshTokenDays * 24 * 60 * 60 * 1000);
+}
+
+function setRefreshCookie(res, sessionId, secret, expiresAt) {
+  res.cookie(AUTH.refreshCookie, `${sessionId}.${secret}`, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/auth',
+    expires: expiresAt
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(AUTH.refreshCookie, { path: '/auth' });
+}
+
+// The refresh cookie as { sessionId, secret }, or null
+function readRefreshCookie(req) {
+  const pair = (req.headers.cookie || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${AUTH.refreshCookie}=`));
+  if (!pair) return null;
+
+  const [sessionId, secret] = decodeURIComponent(pair.slice(AUTH.refreshCookie.length + 1)).split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+// Start a sign-in session and hand the browser its refresh cookie
+async function createAuthSession(user, req, res) {
+  const secret = randomBytes(32).toString('base64url');
+  const session = await AuthSession.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: (req.get('User-Agent') || '').slice(0, 200),
+    ip: req.ip,
+    expiresAt: getRefreshExpiry()
+  });
+  setRefreshCookie(res, session._id, secret, session.expiresAt);
+  return session;
+}
+
+// Revoke sign-in sessions and drop their open event streams
+async function revokeAuthSessions(filter, reason) {
+  const sessions = await AuthSession.find({ ...filter, revokedAt: null }).select('_id user');
+  if (sessions.length === 0) return 0;
+
+  await AuthSession.updateMany(
+    { _id: { $in: sessions.map(session => session._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  sessions.forEach(session => closeSessionStreams(session.user, session._id));
+  return sessions.length;
+}
+
+// ====== ERRORS & VALIDATION ======
+// Every error response has the same shape:
+//   { success: false, message, code, details? }
+// `code` is a stable string pages can branch on and `details` lists the
+// fields that failed validation. Successful responses are
+// { success: true, ...data } as they always were.
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Thrown (or passed to next) to answer with a specific status and code
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Fill in the envelope on every error response, so handlers can keep
+// answering with res.status(...).json({ message })
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      const { message, code, ...rest } = body;
+      body = {
+        ...rest,
+        success: false,
+        message: message || 'Request failed',
+        code: code || ERROR_CODES[res.statusCode] || (res.statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST')
+      };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// The signed-in hero, or a 404 once the account is gone
+async function requireUser(req) {
+  const user = await User.findOne({ email: req.user.email });
+  if (!user) throw new ApiError(404, 'USER_NOT_FOUND', 'User not found');
+  return user;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Request schemas. Each rule checks one value and hands it back cleaned up:
+// strings trimmed (passwords excepted), query and path numbers parsed,
+// defaults filled in.
+const field = {
+  string: (options = {}) => ({ type: 'string', ...options }),
+  number: (options = {}) => ({ type: 'number', ...options }),
+  integer: (options = {}) => ({ type: 'number', integer: true, ...options }),
+  boolean: (options = {}) => ({ type: 'boolean', ...options }),
+  date: (options = {}) => ({ type: 'date', ...options }),
+  day: (options = {}) => ({ type: 'string', pattern: DATE_PATTERN, patternMessage: 'must be a date in YYYY-MM-DD format', ...options }),
+  email: (options = {}) => ({ type: 'string', max: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address', ...options }),
+  password: (options = {}) => ({ type: 'string', trim: false, max: 128, ...options }),
+  objectId: (options = {}) => ({ type: 'objectId', ...options }),
+  oneOf: (values, options = {}) => ({ type: 'enum', values, ...options }),
+  array: (items, options = {}) => ({ type: 'array', items, ...options }),
+  object: (fields, options = {}) => ({ type: 'object', fields, ...options })
+};
+
+function checkField(rule, value, path, errors, fromString) {
+  if (value === undefined || value === null || (fromString && value === '')) {
+    if (rule.required) errors.push({ field: path, message: 'is required' });
+    return rule.default;
+  }
+
+  const fail = message => {
+    errors.push({ field: path, message });
+    return undefined;
+  };
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      const text = rule.trim === false ? value : value.trim();
+      if (rule.required && text === '') return fail('is required');
+      if (rule.min !== undefined && text.length < rule.min) return fail(`must be at least ${rule.min} characters`);
+      if (rule.max !== undefined && text.length > rule.max) return fail(`must be at most ${rule.max} characters`);
+      if (rule.pattern && !rule.pattern.test(text)) return fail(rule.patternMessage || 'is not in the right format');
+      return text;
+    }
+    case 'number': {
+      const number = fromString && typeof value === 'string' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return fail('must be a number');
+      if (rule.integer && !Number.isInteger(number)) return fail('must be a whole number');
+      if (rule.min !== undefined && number < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && number > rule.max) return fail(`must be at most ${rule.max}`);
+      return number;
+    }
+    case 'boolean': {
+      if (fromString && (value === 'true' || value === 'false')) return value === 'true';
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      return value;
+    }
+    case 'date': {
+      if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(new Date(value).getTime())) return fail('must be a date');
+      return value;
+    }
+    case 'objectId': {
+      if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) return fail('must be a valid id');
+      return value;
+    }
+    case 'enum': {
+      if (!rule.values.includes(value)) return fail(`must be one of: ${rule.values.join(', ')}`);
+      return value;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be a list');
+      if (rule.max !== undefined && value.length > rule.max) return fail(`must have at most ${rule.max} items`);
+      return value.map((item, index) => checkField(rule.items, item, `${path}[${index}]`, errors, fromString));
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      return checkFields(rule.fields, value, path, errors, fromString);
+    }
+  }
+  return value;
+}
+
+function checkFields(fields, values, prefix, errors, fromString) {
+  const cleaned = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = checkField(rule, values[name], prefix ? `${prefix}.${name}` : name, errors, fromString);
+    if (value !== undefined) cleaned[name] = value;
+  }
+  return cleaned;
+}
+
+/**
+ * Route middleware that checks req.params, req.query and req.body against
+ * a schema of `field` rules. The body is replaced by only the fields the
+ * schema names; a failure answers 400 VALIDATION_FAILED listing every
+ * field that was wrong.
+ *
+ * @param {{params?: object, query?: object, body?: object}} schema
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const params = schema.params && checkFields(schema.params, req.params, '', errors, true);
+    const query = schema.query && checkFields(schema.query, req.query, '', errors, true);
+    const body = schema.body && checkFields(schema.body, req.body || {}, '', errors, false);
+
+    if (errors.length > 0) {
+      return next(new ApiError(400, 'VALIDATION_FAILED', `${errors[0].field} ${errors[0].message}`, errors));
+    }
+
+    if (params) Object.assign(req.params, params);
+    if (query) Object.assign(req.query, query);
+    if (body) req.body = body;
+    next();
+  };
+}
+
+// ====== MAIL ======
+// Outgoing mail goes through the transport named by MAIL_TRANSPORT.
+// `console` (the default) prints each message; `file` appends them as JSON
+// lines to MAIL_FILE so development and tests can read links back out. Both
+// leave working sign-in links readable, so a production server refuses to
+// start with either. A real provider plugs in with
+// registerMailTransport(name, { send }) and is named in MAIL_TRANSPORT.
+const MAIL = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'FitQuest <no-reply@fitquest.local>',
+  file: process.env.MAIL_FILE || join(tmpdir(), 'fitquest-mail.jsonl'),
+  appUrl: (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '')
+};
+
+const mailTransports = new Map();
+
+function registerMailTransport(name, transport) {
+  mailTransports.set(name, transport);
+}
+
+registerMailTransport('console', {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+registerMailTransport('file', {
+  async send(message) {
+    await appendFile(MAIL.file, JSON.stringify({ ...message, sentAt: new Date() }) + '\n');
+  }
+});
+
+const DEV_MAIL_TRANSPORTS = ['console', 'file'];
+if (process.env.NODE_ENV === 'production' && DEV_MAIL_TRANSPORTS.includes(MAIL.transport)) {
+  console.error(`❌ MAIL_TRANSPORT must name a real mail provider in production (got "${MAIL.transport}")`);
+  process.exit(1);
+}
+
+async function sendMail(message) {
+  const transport = mailTransports.get(MAIL.transport);
+  if (!transport) throw new Error(`Unknown mail transport: ${MAIL.transport}`);
+  await transport.send({ from: MAIL.from, ...message });
+}
+
+// ====== ACCOUNT TOKENS ======
+const ACCOUNT_TOKENS = {
+  verify_email: { ttl: '24h', ttlMs: 24 * 60 * 60 * 1000 },
+  reset_password: { ttl: '1h', ttlMs: 60 * 60 * 1000 }
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Sign a single-use link token. Earlier unused links for the same purpose
+// stop working, so only the newest email counts.
+async function issueAccountToken(user, purpose) {
+  const jti = randomBytes(16).toString('hex');
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await AccountToken.create({ jti, user: user._id, purpose, expiresAt: new Date(Date.now() + ACCOUNT_TOKENS[purpose].ttlMs) });
+
+  // The email is signed in so a verification link dies when the email changes
+  return jwt.sign({ sub: String(user._id), email: user.email, purpose, jti }, JWT_SECRET, { expiresIn: ACCOUNT_TOKENS[purpose].ttl });
+}
+
+// Check a link token and use it up. Returns its payload, or null if it is
+// forged, expired, for something else or already used.
+async function redeemAccountToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (payload.purpose !== purpose || !payload.jti) return null;
+
+  const now = new Date();
+  const record = await AccountToken.findOneAndUpdate(
+    { jti: payload.jti, user: payload.sub, purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+  return record ? payload : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(user, 'verify_email');
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your FitQuest email',
+    text: `Welcome, ${user.heroName}! Confirm your email to secure your hero:\n\n` +
+      `${MAIL.appUrl}/login.html?verify=${encodeURIComponent(token)}\n\nThe link works once and expires in 24 hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueAccountToken(user, 'reset_password');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your FitQuest password',
+    text: `Someone asked to reset the password for ${user.heroName}. If it was you, choose a new one here:\n\n` +
+      `${MAIL.appUrl}/login.html?reset=${encodeURIComponent(token)}\n\n` +
+      `The link works once and expires in 1 hour. If it wasn't you, you can ignore this email.`
+  });
+}
+
+// ====== RATE LIMITING ======
+// Requests are counted in fixed windows, per IP and, once signed in, per
+// account. Each limit is RATE_LIMIT_<NAME>=<max>/<minutes> in the
+// environment (RATE_LIMIT_AUTH=20/15 allows 20 requests every 15 minutes).
+// Counters live in the store named by RATE_LIMIT_STORE: `memory` (the
+// default) keeps them in this process, and a shared backend such as Redis
+// plugs in with registerRateLimitStore(name, { increment, get, reset }).
+function readRateLimit(name, max, windowMinutes) {
+  const [envMax, envMinutes] = (process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '').split('/').map(Number);
+  return {
+    name,
+    max: envMax > 0 ? envMax : max,
+    windowMs: (envMinutes > 0 ? envMinutes : windowMinutes) * 60 * 1000
+  };
+}
+
+const RATE_LIMITS = {
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  // Sign-up, sign-in and the emailed-link endpoints, per IP
+  auth: readRateLimit('auth', 20, 15),
+  // Pages refresh their token every 15 minutes, so this one is looser
+  refresh: readRateLimit('refresh', 60, 15),
+  // The AI coach calls a paid API, per IP and per account
+  ai: readRateLimit('ai', 30, 1),
+  aiAccount: readRateLimit('ai_account', 10, 1),
+  // AI coach messages per hero per local day
+  coachDailyMessages: parseInt(process.env.AI_COACH_DAILY_MESSAGES) || 50,
+  // After `freeAttempts` wrong passwords in `failureWindowMs` an account is
+  // locked for that IP, for twice as long after each further failure
+  loginLockout: {
+    freeAttempts: parseInt(process.env.LOGIN_LOCKOUT_ATTEMPTS) || 5,
+    failureWindowMs: 24 * 60 * 60 * 1000,
+    baseLockMs: 60 * 1000,
+    maxLockMs: 60 * 60 * 1000
+  }
+};
+
+const rateLimitStores = new Map();
+
+function registerRateLimitStore(name, store) {
+  rateLimitStores.set(name, store);
+}
+
+// Store interface, all async so a network backend fits:
+//   increment(key, windowMs) -> { count, resetAt }; starts a new window if
+//     the key has none or it ran out
+//   get(key) -> { count, resetAt } or null
+//   reset(key)
+function createMemoryRateLimitStore() {
+  const windows = new Map();
+  const live = key => {
+    const entry = windows.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      windows.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  setInterval(() => {
+    for (const key of windows.keys()) live(key);
+  }, 60 * 1000).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      windows.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+}
+
+registerRateLimitStore('memory', createMemoryRateLimitStore());
+
+function getRateLimitStore() {
+  const store = rateLimitStores.get(RATE_LIMITS.store);
+  if (!store) throw new Error(`Unknown rate limit store: ${RATE_LIMITS.store}`);
+  return store;
+}
+
+function getRetryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+// A 429 with Retry-After set, for the error middleware to answer with
+function rateLimited(res, resetAt, code, message) {
+  const seconds = getRetryAfterSeconds(resetAt);
+  res.set('Retry-After', String(seconds));
+  return new ApiError(429, code, `${message}. Try again in ${formatWait(seconds)}`);
+}
+
+/**
+ * Middleware allowing `limit.max` requests per `limit.windowMs` for each
+ * key (the client's IP unless `key` says otherwise). Every response gets
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
+ */
+function rateLimit(limit, key = req => req.ip) {
+  return async (req, res, next) => {
+    try {
+      const hit = await getRateLimitStore().increment(`${limit.name}:${key(req)}`, limit.windowMs);
+      res.set({
+        'RateLimit-Limit': String(limit.max),
+        'RateLimit-Remaining': String(Math.max(0, limit.max - hit.count)),
+        'RateLimit-Reset': String(getRetryAfterSeconds(hit.resetAt))
+      });
+      if (hit.count > limit.max) {
+        return next(rateLimited(res, hit.resetAt, 'RATE_LIMITED', "Too many requests"));
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const authRateLimit = rateLimit(RATE_LIMITS.auth);
+const refreshRateLimit = rateLimit(RATE_LIMITS.refresh);
+const aiRateLimit = rateLimit(RATE_LIMITS.ai);
+// Runs after authenticateToken
+const aiAccountRateLimit = rateLimit(RATE_LIMITS.aiAccount, req => req.user.userId);
+
+// Login lockout, keyed by the email tried together with the IP trying it, so
+// someone guessing passwords can't lock the owner out from everywhere else.
+// Guessing from many IPs is still held back by authRateLimit on each one.
+const loginFailureKey = (email, ip) => `login_failures:${email.toLowerCase()}:${ip}`;
+const loginLockKey = (email, ip) => `login_lock:${email.toLowerCase()}:${ip}`;
+
+// When the lock on this email and IP runs out, or null if it isn't locked
+async function getLoginLock(email, ip) {
+  const lock = await getRateLimitStore().get(loginLockKey(email, ip));
+  return lock ? lock.resetAt : null;
+}
+
+async function recordLoginFailure(email, ip) {
+  const { freeAttempts, failureWindowMs, baseLockMs, maxLockMs } = RATE_LIMITS.loginLockout;
+  const store = getRateLimitStore();
+  const failures = await store.increment(loginFailureKey(email, ip), failureWindowMs);
+  if (failures.count < freeAttempts) {
+    return { attemptsLeft: freeAttempts - failures.count, lockedUntil: null };
+  }
+
+  const lockMs = Math.min(baseLockMs * Math.pow(2, failures.count - freeAttempts), maxLockMs);
+  const lock = await store.increment(loginLockKey(email, ip), lockMs);
+  return { attemptsLeft: 0, lockedUntil: lock.resetAt };
+}
+
+async function clearLoginFailures(email, ip) {
+  const store = getRateLimitStore();
+  await store.reset(loginFailureKey(email, ip));
+  await store.reset(loginLockKey(email, ip));
+}
+
+// Count an AI coach message against the hero's allowance for their local
+// day. Throws a 429 once it is used up.
+async function useCoachQuota(user, res) {
+  const limit = RATE_LIMITS.coachDailyMessages;
+  const now = new Date();
+  const today = getLocalDateString(now, user.timezone);
+  const resetsAt = getZonedMidnight(addDaysToDateString(today, 1), user.timezone);
+
+  const hit = await getRateLimitStore().increment(`coach_daily:${user._id}:${today}`, resetsAt - now);
+  if (hit.count > limit) {
+    throw rateLimited(res, resetsAt, 'AI_QUOTA_EXCEEDED', `You've used all ${limit} coach messages for today`);
+  }
+  return { limit, used: hit.count, remaining: limit - hit.count, resetsAt };
+}
+
+// ====== MIDDLEWARE ======
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).json({ code: 'TOKEN_MISSING', message: "No token provided" });
+
+  const token = authHeader.split(" ")[1];
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ code: 'TOKEN_INVALID', message: "Invalid or expired token" });
+  }
+
+  try {
+    // Tokens from before sessions existed carry no sid and must log in again
+    const active = mongoose.isValidObjectId(decoded.sid) && await AuthSession.exists({
+      _id: decoded.sid,
+      user: decoded.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!active) return res.status(401).json({ code: 'SESSION_ENDED', message: "Session has ended. Please log in again" });
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = decoded;
+  next();
+};
+
+// Moderator-only routes; runs after authenticateToken
+const requireModerator = async (req, res, next) => {
+  try {
+    const moderator = await User.findOne({ email: req.user.email }).select('role heroName');
+    if (!moderator || moderator.role !== 'moderator') {
+      return res.status(403).json({ success: false, message: "Moderators only" });
+    }
+    req.moderator = moderator;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ====== REAL-TIME EVENTS ======
+// Server-Sent Events. Every open page keeps a stream on /events and gets
+// typed events: xp_gained, level_up, quest_progress, battle_turn,
+// achievement_unlocked, raid_progress, duel_update and workout_reviewed.
+// Each hero's latest events are kept so a page that reconnects with
+// Last-Event-ID catches up; if they can't be replayed (server restarted, too
+// many missed) it gets a `resync` event and reloads everything.
+//
+// EventSource can't set headers, and an access token in the URL ends up in
+// logs, so a page first trades its token for a ticket on POST
+// /events/ticket and opens /events?ticket=. A ticket works once, briefly.
+const EVENT_STREAM = {
+  ticketSeconds: 30,
+  heartbeatSeconds: 25,
+  retryMs: 3000,
+  replaySize: 50,
+  forgetAfterMinutes: 10
+};
+
+// Event ids are `<boot>-<sequence>`, so ids from before a restart are spotted
+const EVENT_BOOT_ID = Date.now().toString(36);
+let eventSequence = 0;
+const eventStreams = new Map();
+const recentEvents = new Map();
+const eventTickets = new Map();
+
+function issueEventTicket(user) {
+  const now = Date.now();
+  for (const [ticket, entry] of eventTickets) {
+    if (entry.expiresAt <= now) eventTickets.delete(ticket);
+  }
+
+  const ticket = randomBytes(24).toString('base64url');
+  eventTickets.set(ticket, { user, expiresAt: now + EVENT_STREAM.ticketSeconds * 1000 });
+  return ticket;
+}
+
+// Spends the ?ticket= and signs the stream in as whoever it was issued to,
+// provided their session hasn't ended since
+const authenticateEventStream = async (req, res, next) => {
+  const entry = req.query.ticket && eventTickets.get(req.query.ticket);
+  if (entry) eventTickets.delete(req.query.ticket);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return res.status(401).json({ code: 'TICKET_INVALID', message: "Invalid or expired stream ticket" });
+  }
+
+  try {
+    const active = await AuthSession.exists({
+      _id: entry.user.sid,
+      user: entry.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!active) return res.status(401).json({ code: 'SESSION_ENDED', message: "Session has ended. Please log in again" });
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = entry.user;
+  next();
+};
+
+// End the streams opened with a session's tokens
+function closeSessionStreams(userId, sessionId) {
+  for (const res of eventStreams.get(String(userId)) || []) {
+    if (String(res.locals.sessionId) === String(sessionId)) res.end();
+  }
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function publishEvent(userId, type, data = {}) {
+  const key = String(userId);
+  const event = { id: `${EVENT_BOOT_ID}-${++eventSequence}`, sequence: eventSequence, type, data: { ...data, at: new Date() } };
+
+  const history = recentEvents.get(key) || [];
+  history.push(event);
+  if (history.length > EVENT_STREAM.replaySize) history.shift();
+  recentEvents.set(key, history);
+
+  for (const res of eventStreams.get(key) || []) {
+    writeEvent(res, event);
+  }
+}
+
+// Queue an event on a hero document; it is published when the document saves
+function queueUserEvent(user, type, data) {
+  if (!user.$locals.pendingEvents) user.$locals.pendingEvents = [];
+  user.$locals.pendingEvents.push({ type, data });
+}
+
+// Current progress of every active quest, for quest_progress events
+function queueQuestProgress(user) {
+  queueUserEvent(user, 'quest_progress', {
+    quests: user.activeQuests.map(quest => {
+      const { current, claimable } = calculateQuestProgress(user, quest);
+      return { id: quest._id, title: quest.title, current, requirement: quest.requirement, claimable };
+    })
+  });
+}
+
+// Events the page missed since `lastEventId`, or null if they can't be replayed
+function getMissedEvents(key, lastEventId) {
+  const [bootId, sequenceText] = String(lastEventId).split('-');
+  const sequence = parseInt(sequenceText);
+  if (bootId !== EVENT_BOOT_ID || isNaN(sequence)) return null;
+
+  const history = recentEvents.get(key) || [];
+  // A full buffer that starts after what the page saw may have dropped events
+  if (history.length === EVENT_STREAM.replaySize && history[0].sequence > sequence + 1) return null;
+  return history.filter(event => event.sequence > sequence);
+}
+
+// Stream ticket
+app.post("/events/ticket", authenticateToken, (req, res) => {
+  res.json({ success: true, ticket: issueEventTicket(req.user), expiresIn: EVENT_STREAM.ticketSeconds });
+});
+
+// Event stream
+app.get("/events", validate({
+  query: {
+    ticket: field.string({ required: true, max: 100 }),
+    lastEventId: field.string({ max: 100 })
+  }
+}), authenticateEventStream, (req, res) => {
+  const key = String(req.user.userId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENT_STREAM.retryMs}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = getMissedEvents(key, lastEventId);
+    if (missed) {
+      missed.forEach(event => writeEvent(res, event));
+    } else {
+      writeEvent(res, { id: `${EVENT_BOOT_ID}-${eventSequence}`, type: 'resync', data: {} });
+    }
+  }
+
+  res.locals.sessionId = req.user.sid;
+  if (!eventStreams.has(key)) eventStreams.set(key, new Set());
+  eventStreams.get(key).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_STREAM.heartbeatSeconds * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = eventStreams.get(key);
+    if (!streams) return;
+    streams.delete(res);
+    if (streams.size > 0) return;
+
+    // Keep the replay buffer a little while for a quick reconnect
+    eventStreams.delete(key);
+    setTimeout(() => {
+      if (!eventStreams.has(key)) recentEvents.delete(key);
+    }, EVENT_STREAM.forgetAfterMinutes * 60 * 1000).unref();
+  });
+});
+
+// ====== API ENDPOINTS ======
+
+// Register
+app.post("/register", authRateLimit, validate({
+  body: {
+    email: field.email({ required: true }),
+    password: field.password({ required: true, min: MIN_PASSWORD_LENGTH }),
+    heroName: field.string({ required: true, max: 30 }),
+    timezone: field.string({ max: 64 })
+  }
+}), asyncHandler(async (req, res, next) => {
+  try {
+    const { email, password, heroName, timezone } = req.body;
+    const hashed = await bcrypt.hash(password, 10);
+
+    const user = new User({
+      email,
+      password: hashed,
+      heroName,
+      timezone: isValidTimeZone(timezone) ? timezone : 'UTC',
+      stats: { strength: 5, stamina: 5, agility: 5, health: 100 },
+      level: 1,
+      xp: 0,
+      gold: 100,
+    });
+
+    await user.save();
+
+    // A mail outage shouldn't block sign-up; the hero can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error("Verification email error:", err);
+    }
+
+    res.json({ success: true, message: "User registered. Check your email to confirm your address" });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, code: 'EMAIL_TAKEN', message: "Email already exists" });
+    }
+    next(err);
+  }
+}));
+
+// Compared against when the email has no account, so a miss takes as long
+// as a wrong password and the response can't tell the two apart
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('fitquest-no-such-account', 10);
+
+// Login
+app.post("/login", authRateLimit, validate({
+  body: {
+    email: field.string({ required: true, max: 254 }),
+    password: field.password({ required: true }),
+    timezone: field.string({ max: 64 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { email, password, timezone } = req.body;
+
+  const lockedUntil = await getLoginLock(email, req.ip);
+  if (lockedUntil) {
+    throw rateLimited(res, lockedUntil, 'ACCOUNT_LOCKED', "Too many failed sign-ins for this account");
+  }
+
+  const user = await User.findOne({ email });
+  const valid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH) && Boolean(user);
+  if (!valid) {
+    const failure = await recordLoginFailure(email, req.ip);
+    if (failure.lockedUntil) {
+      throw rateLimited(res, failure.lockedUntil, 'ACCOUNT_LOCKED', "Too many failed sign-ins for this account");
+    }
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_CREDENTIALS',
+      message: "Invalid email or password",
+      attemptsLeft: failure.attemptsLeft
+    });
+  }
+  await clearLoginFailures(email, req.ip);
+
+  // Keep the hero's day boundaries in step with where they are logging in from
+  if (isValidTimeZone(timezone) && timezone !== user.timezone) {
+    user.timezone = timezone;
+    await user.save();
+  }
+
+  const session = await createAuthSession(user, req, res);
+  const token = issueAccessToken(user, session._id);
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    token,
+    heroName: user.heroName,
+    stats: user.stats,
+    level: user.level,
+    gold: user.gold,
+    emailVerified: user.emailVerified,
+  });
+}));
+
+// Swap the refresh cookie for a new access token (and a new refresh cookie)
+app.post("/auth/refresh", refreshRateLimit, asyncHandler(async (req, res) => {
+  const cookie = readRefreshCookie(req);
+  if (!cookie) {
+    return res.status(401).json({ success: false, code: 'REFRESH_TOKEN_MISSING', message: "No refresh token" });
+  }
+
+  const now = new Date();
+  const session = await AuthSession.findById(cookie.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    clearRefreshCookie(res);
+    return res.status(401).json({ success: false, code: 'SESSION_ENDED', message: "Session has ended. Please log in again" });
+  }
+
+  const user = await User.findById(session.user).select('email');
+  if (!user) {
+    clearRefreshCookie(res);
+    return res.status(401).json({ success: false, code: 'SESSION_ENDED', message: "User not found" });
+  }
+
+  const presented = hashToken(cookie.secret);
+  if (presented === session.previousTokenHash) {
+    // Another tab of the same browser rotated it a moment ago
+    if (now - session.lastUsedAt <= AUTH.rotationGraceSeconds * 1000) {
+      return res.json({ success: true, token: issueAccessToken(user, session._id) });
+    }
+    // Otherwise an old token is being replayed: end the session for everyone holding it
+    await revokeAuthSessions({ _id: session._id }, 'refresh_token_reused');
+    clearRefreshCookie(res);
+    return res.status(401).json({ success: false, code: 'REFRESH_TOKEN_REUSED', message: "Refresh token was already used. Please log in again" });
+  }
+  if (presented !== session.tokenHash) {
+    clearRefreshCookie(res);
+    return res.status(401).json({ success: false, code: 'REFRESH_TOKEN_INVALID', message: "Invalid refresh token" });
+  }
+
+  const secret = randomBytes(32).toString('base64url');
+  const expiresAt = getRefreshExpiry(now);
+  const rotated = await AuthSession.updateOne(
+    { _id: session._id, tokenHash: presented, revokedAt: null },
+    { $set: { tokenHash: hashToken(secret), previousTokenHash: presented, lastUsedAt: now, expiresAt } }
+  );
+  if (rotated.modifiedCount === 0) {
+    // Lost a race with another refresh; that one set the new cookie
+    return res.json({ success: true, token: issueAccessToken(user, session._id) });
+  }
+
+  setRefreshCookie(res, session._id, secret, expiresAt);
+  res.json({ success: true, token: issueAccessToken(user, session._id) });
+}));
+
+// Log out: revokes this browser's session. Works from the refresh cookie or
+// the access token (even an expired one), so it never needs a refresh first.
+app.post("/auth/logout", asyncHandler(async (req, res) => {
+  let sessionId = readRefreshCookie(req)?.sessionId;
+  const token = (req.headers.authorization || '').split(" ")[1];
+  if (!sessionId && token) {
+    try {
+      sessionId = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid;
+    } catch (err) {
+      // A token we didn't sign names no session of ours
+    }
+  }
+
+  if (mongoose.isValidObjectId(sessionId)) {
+    await revokeAuthSessions({ _id: sessionId }, 'logout');
+  }
+  clearRefreshCookie(res);
+  res.json({ success: true, message: "Logged out" });
+}));
+
+// Signed-in sessions, newest activity first
+app.get("/auth/sessions", authenticateToken, asyncHandler(async (req, res) => {
+  const sessions = await AuthSession.find({
+    user: req.user.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    success: true,
+    sessions: sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: String(session._id) === String(req.user.sid)
+    }))
+  });
+}));
+
+// Sign out every other browser
+app.delete("/auth/sessions", authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await revokeAuthSessions({ user: req.user.userId, _id: { $ne: req.user.sid } }, 'revoked_by_user');
+  res.json({ success: true, message: `Signed out of ${revoked} other session(s)`, revoked });
+}));
+
+// Sign out one session
+app.delete("/auth/sessions/:id", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const revoked = await revokeAuthSessions({ _id: req.params.id, user: req.user.userId }, 'revoked_by_user');
+  if (revoked === 0) {
+    return res.status(404).json({ success: false, message: "Session not found" });
+  }
+
+  // Revoking the current session is a logout
+  if (req.params.id === String(req.user.sid)) clearRefreshCookie(res);
+  res.json({ success: true, message: "Session signed out" });
+}));
+
+// Confirm an email address from the link in the verification email
+app.post("/auth/verify-email", authRateLimit, validate({
+  body: { token: field.string({ required: true, max: 2000 }) }
+}), asyncHandler(async (req, res) => {
+  const payload = await redeemAccountToken(req.body.token, 'verify_email');
+  if (!payload) {
+    return res.status(400).json({ success: false, message: "This link is invalid or has expired" });
+  }
+
+  const verified = await User.updateOne(
+    { _id: payload.sub, email: payload.email },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  if (verified.matchedCount === 0) {
+    return res.status(400).json({ success: false, message: "This link is for an email address that is no longer on the account" });
+  }
+
+  res.json({ success: true, message: "Email confirmed" });
+}));
+
+// Send a fresh verification email
+app.post("/auth/resend-verification", authRateLimit, authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  if (user.emailVerified) {
+    return res.status(400).json({ success: false, message: "Email is already confirmed" });
+  }
+
+  await sendVerificationEmail(user);
+  res.json({ success: true, message: `Verification email sent to ${user.email}` });
+}));
+
+// Email a password reset link. Always answers the same way, so it can't be
+// used to find out which emails have accounts.
+app.post("/auth/forgot-password", authRateLimit, validate({
+  body: { email: field.string({ required: true, max: 254 }) }
+}), asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const user = await User.findOne({ email });
+  if (user) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (err) {
+      console.error("Password reset email error:", err);
+    }
+  }
+
+  res.json({ success: true, message: "If that email has an account, a reset link is on its way" });
+}));
+
+// Choose a new password from a reset link. Every signed-in browser is
+// signed out, since whoever knew the old password may be one of them.
+app.post("/auth/reset-password", authRateLimit, validate({
+  body: {
+    token: field.string({ required: true, max: 2000 }),
+    password: field.password({ required: true, min: MIN_PASSWORD_LENGTH })
+  }
+}), asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  const payload = await redeemAccountToken(token, 'reset_password');
+  if (!payload) {
+    return res.status(400).json({ success: false, message: "This link is invalid or has expired" });
+  }
+
+  const hashed = await bcrypt.hash(password, 10);
+  const updated = await User.updateOne({ _id: payload.sub }, { $set: { password: hashed } });
+  if (updated.matchedCount === 0) {
+    return res.status(404).json({ success: false, message: "User not found" });
+  }
+
+  await revokeAuthSessions({ user: payload.sub }, 'password_reset');
+  res.json({ success: true, message: "Password updated. Please log in" });
+}));
+
+// Change email, password or hero name. Email and password changes need the
+// current password.
+app.patch("/account", authenticateToken, validate({
+  body: {
+    currentPassword: field.password(),
+    email: field.email(),
+    password: field.password({ min: MIN_PASSWORD_LENGTH }),
+    heroName: field.string({ min: 1, max: 30 })
+  }
+}), asyncHandler(async (req, res, next) => {
+  try {
+    const { currentPassword, email, password, heroName } = req.body;
+    const user = await requireUser(req);
+
+    const changingEmail = email !== undefined && email !== user.email;
+    const changingPassword = password !== undefined;
+
+    if (heroName !== undefined) {
+      user.heroName = heroName;
+    }
+
+    if (changingEmail || changingPassword) {
+      if (currentPassword === undefined || !(await bcrypt.compare(currentPassword, user.password))) {
+        return res.status(400).json({ success: false, code: 'INCORRECT_PASSWORD', message: "Incorrect password" });
+      }
+    }
+
+    if (changingEmail) {
+      if (await User.exists({ email, _id: { $ne: user._id } })) {
+        return res.status(409).json({ success: false, code: 'EMAIL_TAKEN', message: "Email already exists" });
+      }
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+
+    if (changingPassword) {
+      user.password = await bcrypt.hash(password, 10);
+    }
+
+    await user.save();
+
+    if (changingPassword) {
+      // Keep this browser signed in and sign out the rest
+      await revokeAuthSessions({ user: user._id, _id: { $ne: req.user.sid } }, 'password_changed');
+      await AccountToken.deleteMany({ user: user._id, purpose: 'reset_password', usedAt: null });
+    }
+    if (changingEmail) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (err) {
+        console.error("Verification email error:", err);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: changingEmail ? "Account updated. Check your new email to confirm it" : "Account updated",
+      // Access tokens carry the email, so a new one replaces the old
+      token: changingEmail ? issueAccessToken(user, req.user.sid) : undefined,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      heroName: user.heroName
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, code: 'EMAIL_TAKEN', message: "Email already exists" });
+    }
+    next(err);
+  }
+}));
+
+// Delete the account and everything that belongs to it. Needs the password.
+app.delete("/account", authenticateToken, validate({
+  body: { password: field.password({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const user = await requireUser(req);
+
+  if (!(await bcrypt.compare(password, user.password))) {
+    return res.status(400).json({ success: false, code: 'INCORRECT_PASSWORD', message: "Incorrect password" });
+  }
+
+  // Sign out everywhere first so nothing writes to the hero while it goes
+  await revokeAuthSessions({ user: user._id }, 'account_deleted');
+
+  const guild = user.guild && await Guild.findById(user.guild);
+  if (guild) await removeGuildMember(guild, user._id);
+  await Raid.updateMany({ 'contributions.user': user._id }, { $pull: { contributions: { user: user._id } } });
+
+  // Open challenges are called off and the other hero gets their gold back
+  const openDuels = await Duel.find({
+    status: { $in: ['pending', 'active'] },
+    $or: [{ 'challenger.user': user._id }, { 'opponent.user': user._id }]
+  });
+  for (const duel of openDuels) {
+    const cancelled = await Duel.findOneAndUpdate(
+      { _id: duel._id, status: duel.status },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+    if (!cancelled || cancelled.wager === 0) continue;
+
+    const other = cancelled.challenger.user.equals(user._id) ? 'opponent' : 'challenger';
+    // A pending challenge only holds the challenger's stake
+    if (other === 'challenger' || duel.status === 'active') {
+      await User.updateOne({ _id: cancelled[other].user }, { $inc: { gold: cancelled.wager } });
+    }
+  }
+
+  await User.updateMany(
+    { $or: [{ 'friends.user': user._id }, { 'friendRequests.user': user._id }] },
+    { $pull: { friends: { user: user._id }, friendRequests: { user: user._id } } }
+  );
+  await AccountToken.deleteMany({ user: user._id });
+  await ActivityReview.deleteMany({ user: user._id });
+  await CoachConversation.deleteMany({ user: user._id });
+  await AuthSession.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+  recentEvents.delete(String(user._id));
+
+  clearRefreshCookie(res);
+  res.json({ success: true, message: "Account deleted" });
+}));
+
+// Profile
+app.get("/profile", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  
+  if (syncStreaks(user).length > 0) {
+    await user.save();
+  }
+  
+  const userData = { ...user._doc };
+  delete userData.password;
+  userData.activeBuffs = getActiveBuffs(user);
+  userData.effectiveStats = getEffectiveStats(user);
+  userData.levelProgress = getLevelProgress(user);
+  userData.streaks = getStreakSummary(user);
+  
+  res.json({ success: true, ...userData });
+}));
+
+// ====== HYDRATION ======
+// Only the first `rewardedCupsPerDay` cups of a day earn XP and health, so
+// logging huge amounts can't farm either
+const HYDRATION = {
+  mlPerCup: 250,
+  defaultGoalCups: 8,
+  mlPerKg: 35,
+  minGoalCups: 1,
+  maxGoalCups: 24,
+  maxCupsPerLog: 8,
+  xpPerCup: 2,
+  healthPerCup: 2,
+  rewardedCupsPerDay: 12,
+  maxHistoryDays: 366
+};
+
+function cupsToMl(cups) {
+  return Math.round(cups * HYDRATION.mlPerCup);
+}
+
+// Daily goal suggested for a body weight, rounded to half cups
+function getBodyWeightGoalCups(bodyWeightKg) {
+  const cups = Math.round((bodyWeightKg * HYDRATION.mlPerKg / HYDRATION.mlPerCup) * 2) / 2;
+  return Math.min(Math.max(cups, HYDRATION.minGoalCups), HYDRATION.maxGoalCups);
+}
+
+function getHydrationGoal(user) {
+  return (user.hydration && user.hydration.goalCups) || HYDRATION.defaultGoalCups;
+}
+
+// The hero's entry for a local day
+function getWaterEntry(user, date) {
+  return user.waterIntake.find(entry => entry.date === date);
+}
+
+// Summary of one local day's water, in both units
+function describeWaterDay(user, date) {
+  const entry = getWaterEntry(user, date);
+  const cups = entry ? entry.cups : 0;
+  const goal = (entry && entry.goal) || getHydrationGoal(user);
+
+  return {
+    date,
+    cups,
+    ml: cupsToMl(cups),
+    goal,
+    goalMl: cupsToMl(goal),
+    goalHit: cups >= goal,
+    percent: Math.min(Math.round((cups / goal) * 100), 100)
+  };
+}
+
+// Consecutive goal-hit days ending at `today`. Today only breaks the streak
+// once it is over, so an unfinished today counts from yesterday.
+function getHydrationStreak(user, today) {
+  let day = describeWaterDay(user, today).goalHit ? today : addDaysToDateString(today, -1);
+  let streak = 0;
+  while (describeWaterDay(user, day).goalHit) {
+    streak++;
+    day = addDaysToDateString(day, -1);
+  }
+  return streak;
+}
+
+// Hydration settings
+app.get("/water/settings", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const goalCups = getHydrationGoal(user);
+  res.json({
+    success: true,
+    settings: {
+      goalCups,
+      goalMl: cupsToMl(goalCups),
+      goalSource: user.hydration.goalSource,
+      unit: user.hydration.unit,
+      bodyWeightKg: user.hydration.bodyWeightKg || null,
+      timezone: user.timezone
+    }
+  });
+}));
+
+// Update hydration settings. `goal` is read in `unit`; sending only
+// `bodyWeightKg` derives the goal from it.
+app.put("/water/settings", authenticateToken, validate({
+  body: {
+    goal: field.number({ min: 0 }),
+    unit: field.oneOf(['cups', 'ml']),
+    bodyWeightKg: field.number({ min: 20, max: 400 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { goal, unit, bodyWeightKg } = req.body;
+  const user = await requireUser(req);
+
+  // The goal's range depends on the unit, so it is checked here
+  const displayUnit = unit || user.hydration.unit;
+  if (goal !== undefined) {
+    const goalCups = displayUnit === 'ml' ? goal / HYDRATION.mlPerCup : goal;
+    if (goalCups < HYDRATION.minGoalCups || goalCups > HYDRATION.maxGoalCups) {
+      return res.status(400).json({
+        success: false,
+        message: `Goal must be between ${HYDRATION.minGoalCups} and ${HYDRATION.maxGoalCups} cups (${cupsToMl(HYDRATION.minGoalCups)}-${cupsToMl(HYDRATION.maxGoalCups)} ml)`
+      });
+    }
+    user.hydration.goalCups = goalCups;
+    user.hydration.goalSource = 'custom';
+  } else if (bodyWeightKg !== undefined) {
+    user.hydration.goalCups = getBodyWeightGoalCups(bodyWeightKg);
+    user.hydration.goalSource = 'bodyweight';
+  }
+
+  if (bodyWeightKg !== undefined) user.hydration.bodyWeightKg = bodyWeightKg;
+  user.hydration.unit = displayUnit;
+
+  // Today's progress is measured against the new goal straight away
+  const todayEntry = getWaterEntry(user, getLocalDateString(new Date(), user.timezone));
+  if (todayEntry) todayEntry.goal = user.hydration.goalCups;
+
+  await user.save();
+  res.json({
+    success: true,
+    message: "Hydration settings updated",
+    settings: {
+      goalCups: user.hydration.goalCups,
+      goalMl: cupsToMl(user.hydration.goalCups),
+      goalSource: user.hydration.goalSource,
+      unit: user.hydration.unit,
+      bodyWeightKg: user.hydration.bodyWeightKg || null
+    }
+  });
+}));
+
+// Log water: send `cups`, or `ml`
+app.post("/log-water", authenticateToken, validate({
+  body: {
+    cups: field.number(),
+    ml: field.number()
+  }
+}), asyncHandler(async (req, res) => {
+  const { ml } = req.body;
+  const cups = ml !== undefined ? ml / HYDRATION.mlPerCup : req.body.cups;
+  
+  if (cups === undefined || cups <= 0 || cups > HYDRATION.maxCupsPerLog) {
+    return res.status(400).json({
+      success: false,
+      message: `Log between 0 and ${HYDRATION.maxCupsPerLog} cups (${cupsToMl(HYDRATION.maxCupsPerLog)} ml) at a time`
+    });
+  }
+  
+  const user = await requireUser(req);
+  
+  const today = getLocalDateString(new Date(), user.timezone);
+  let todayEntry = getWaterEntry(user, today);
+  if (!todayEntry) {
+    user.waterIntake.push({ date: today, cups: 0, goal: getHydrationGoal(user), logs: [] });
+    todayEntry = user.waterIntake[user.waterIntake.length - 1];
+  }
+  
+  const rewardedCups = Math.min(cups, Math.max(HYDRATION.rewardedCupsPerDay - todayEntry.cups, 0));
+  const xp = Math.round(rewardedCups * HYDRATION.xpPerCup);
+  const health = Math.min(
+    Math.round(rewardedCups * HYDRATION.healthPerCup),
+    Math.max(MAX_HEALTH - user.stats.health, 0)
+  );
+  const wasGoalHit = todayEntry.cups >= (todayEntry.goal || getHydrationGoal(user));
+  
+  todayEntry.cups += cups;
+  todayEntry.logs.push({ cups, xp, health, date: new Date() });
+  user.stats.health += health;
+  
+  const progression = grantXP(user, xp, { source: 'water' });
+  const day = describeWaterDay(user, today);
+  const streakEvents = syncStreaks(user);
+  const achievementsUnlocked = evaluateAchievements(user);
+  queueQuestProgress(user);
+  
+  await user.save();
+  res.json({
+    success: true,
+    message: "Water logged successfully",
+    xpEarned: progression.xpGained,
+    healthRestored: health,
+    rewardCapReached: rewardedCups < cups,
+    goalReached: day.goalHit && !wasGoalHit,
+    today: day,
+    streakEvents,
+    achievementsUnlocked,
+    leveledUp: progression.leveledUp,
+    newLevel: progression.leveledUp ? progression.newLevel : null,
+    levelUps: progression.events
+  });
+}));
+
+// Water per day over a range of local days (default: the last 30)
+app.get("/water/history", authenticateToken, validate({
+  query: { from: field.day(), to: field.day() }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const { from, to: toQuery } = req.query;
+
+  const today = getLocalDateString(new Date(), user.timezone);
+  const to = toQuery || today;
+  const start = from || addDaysToDateString(to, -29);
+  if (start > to) {
+    return res.status(400).json({ success: false, message: "from must not be after to" });
+  }
+
+  const days = [];
+  for (let day = start; day <= to && days.length < HYDRATION.maxHistoryDays; day = addDaysToDateString(day, 1)) {
+    days.push(describeWaterDay(user, day));
+  }
+
+  // Longest run of goal-hit days within the range
+  let longestStreak = 0;
+  let run = 0;
+  for (const day of days) {
+    run = day.goalHit ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  const totalCups = days.reduce((sum, day) => sum + day.cups, 0);
+  res.json({
+    success: true,
+    from: start,
+    to: days.length > 0 ? days[days.length - 1].date : to,
+    unit: user.hydration.unit,
+    days,
+    summary: {
+      totalCups,
+      totalMl: cupsToMl(totalCups),
+      averageCups: days.length > 0 ? Math.round((totalCups / days.length) * 10) / 10 : 0,
+      goalHitDays: days.filter(day => day.goalHit).length,
+      longestStreak,
+      currentStreak: getHydrationStreak(user, today)
+    }
+  });
+}));
+
+// XP earned per unit of bodyweight work, before the exercise's intensity
+const XP_PER_UNIT = { reps: 0.3, seconds: 0.1, meters: 0.01 };
+
+// Bonus XP for each extra distinct exercise in a session
+const SESSION_VARIETY_BONUS = 5;
+
+// Amount of the exercise's unit done in a set: timed exercises count
+// `duration` when it is given, everything else counts `reps`
+function getSetUnits(exercise, set) {
+  if (exercise.unit === 'seconds' && set.duration != null) return set.duration;
+  return set.reps || 0;
+}
+
+// XP for every set of one exercise
+function calculateExerciseXP(exercise, sets) {
+  const volume = sets.reduce((sum, set) => sum + (set.reps || 0) * (set.weight || 0), 0);
+  const units = sets.reduce((sum, set) => sum + getSetUnits(exercise, set), 0);
+  const baseXP = Math.floor(volume / 10) + 10;
+  const effortXP = Math.floor(units * (XP_PER_UNIT[exercise.unit] || 0) * exercise.intensity);
+  
+  return baseXP + effortXP + exercise.xpBonus;
+}
+
+// XP for a whole session: each exercise's XP plus a bonus for variety
+function calculateSessionXP(session) {
+  const exercises = session.exercises.filter(entry => entry.sets.length > 0);
+  const exerciseXP = exercises.map(entry => calculateExerciseXP(findExercise(entry.exerciseId), entry.sets));
+  const distinct = new Set(exercises.map(entry => entry.exerciseId)).size;
+
+  return {
+    total: exerciseXP.reduce((sum, xp) => sum + xp, 0) + Math.max(distinct - 1, 0) * SESSION_VARIETY_BONUS,
+    perExercise: exerciseXP
+  };
+}
+
+// ====== PERSONAL RECORDS ======
+// Bonus XP for each kind of record a workout beats
+const PR_BONUS_XP = { weight: 15, reps: 10, estimated1RM: 15, volume: 10 };
+
+// Double progression: add reps up to the top of the range, then add weight
+// and drop back to the bottom of the range
+const OVERLOAD_RULES = {
+  repRangeTop: 12,
+  repRangeBottom: 8,
+  weightIncrease: 0.05,
+  minWeightStep: 2.5,
+  bodyweightIncrease: 0.1
+};
+
+// Epley estimate of the most weight that could be lifted for a single rep
+function estimateOneRepMax(weight, reps) {
+  if (!weight || !reps) return 0;
+  return Math.round(weight * (1 + reps / 30) * 10) / 10;
+}
+
+// Weight moved in a set of sets (reps x weight)
+function getSetsVolume(exercise, sets) {
+  return sets.reduce((sum, set) => sum + getSetUnits(exercise, set) * (set.weight || 0), 0);
+}
+
+// Best numbers across workouts of one exercise. `repsAtWeight` maps each
+// weight used to the most reps done with it in a single set.
+function summarizeRecords(exercise, workouts) {
+  const records = { bestWeight: null, bestReps: null, estimated1RM: null, bestVolume: null, repsAtWeight: {} };
+
+  for (const workout of workouts) {
+    const sets = getWorkoutSets(workout);
+
+    for (const set of sets) {
+      const weight = set.weight || 0;
+      const units = getSetUnits(exercise, set);
+      const oneRepMax = estimateOneRepMax(weight, units);
+
+      if (weight > 0 && (!records.bestWeight || weight > records.bestWeight.value)) {
+        records.bestWeight = { value: weight, reps: units, date: workout.date };
+      }
+      if (!records.bestReps || units > records.bestReps.value) {
+        records.bestReps = { value: units, weight, date: workout.date };
+      }
+      if (oneRepMax > 0 && (!records.estimated1RM || oneRepMax > records.estimated1RM.value)) {
+        records.estimated1RM = { value: oneRepMax, weight, reps: units, date: workout.date };
+      }
+      if (!records.repsAtWeight[weight] || units > records.repsAtWeight[weight].reps) {
+        records.repsAtWeight[weight] = { weight, reps: units, date: workout.date };
+      }
+    }
+
+    const volume = getSetsVolume(exercise, sets);
+    if (volume > 0 && (!records.bestVolume || volume > records.bestVolume.value)) {
+      records.bestVolume = { value: volume, date: workout.date };
+    }
+  }
+
+  return records;
+}
+
+// Most reps previously done at `weight` or heavier, or null if never tried
+function getBestRepsAtOrAbove(records, weight) {
+  const matches = Object.values(records.repsAtWeight).filter(entry => entry.weight >= weight);
+  return matches.length > 0 ? Math.max(...matches.map(entry => entry.reps)) : null;
+}
+
+/**
+ * Compare new sets against earlier workouts of the same exercise. The first
+ * time an exercise is logged only sets the baseline, so it never counts.
+ *
+ * @param {object} exercise - Catalog entry
+ * @param {object[]} priorWorkouts - Earlier workouts of this exercise
+ * @param {object[]} sets - Sets just performed
+ * @returns {{type: string, value: number, previous: number, weight?: number}[]}
+ */
+function detectPersonalRecords(exercise, priorWorkouts, sets) {
+  if (priorWorkouts.length === 0 || sets.length === 0) return [];
+
+  const before = summarizeRecords(exercise, priorWorkouts);
+  const records = [];
+
+  const topWeight = Math.max(...sets.map(set => set.weight || 0));
+  const previousWeight = before.bestWeight ? before.bestWeight.value : 0;
+  if (topWeight > previousWeight) {
+    records.push({ type: 'weight', value: topWeight, previous: previousWeight });
+  }
+
+  // Reps only count as a record at a weight that has been lifted before;
+  // a heavier weight is already a weight record
+  let repsRecord = null;
+  for (const set of sets) {
+    const weight = set.weight || 0;
+    const units = getSetUnits(exercise, set);
+    const previous = getBestRepsAtOrAbove(before, weight);
+    if (previous !== null && units > previous && (!repsRecord || units - previous > repsRecord.value - repsRecord.previous)) {
+      repsRecord = { type: 'reps', value: units, previous, weight };
+    }
+  }
+  if (repsRecord) records.push(repsRecord);
+
+  const oneRepMax = Math.max(...sets.map(set => estimateOneRepMax(set.weight || 0, getSetUnits(exercise, set))));
+  const previousOneRepMax = before.estimated1RM ? before.estimated1RM.value : 0;
+  if (oneRepMax > 0 && oneRepMax > previousOneRepMax) {
+    records.push({ type: 'estimated1RM', value: oneRepMax, previous: previousOneRepMax });
+  }
+
+  const volume = getSetsVolume(exercise, sets);
+  const previousVolume = before.bestVolume ? before.bestVolume.value : 0;
+  if (volume > 0 && volume > previousVolume) {
+    records.push({ type: 'volume', value: volume, previous: previousVolume });
+  }
+
+  return records;
+}
+
+function getPersonalRecordXP(records) {
+  return records.reduce((sum, record) => sum + (PR_BONUS_XP[record.type] || 0), 0);
+}
+
+// Logged workouts of one exercise, optionally skipping one row
+function getExerciseWorkouts(user, exerciseId, excludeId = null) {
+  return user.workouts.filter(workout =>
+    getWorkoutExerciseId(workout) === exerciseId && !(excludeId && workout._id.equals(excludeId))
+  );
+}
+
+/**
+ * Next target for an exercise, based on its most recent workout. Weighted
+ * work follows OVERLOAD_RULES; bodyweight, timed and distance work adds a
+ * little to the weakest set.
+ *
+ * @returns {{exerciseId: string, reps: number, weight: number, sets: number, reason: string, basedOn: Date}|null}
+ *   null when the exercise has never been logged
+ */
+function getOverloadSuggestion(exercise, workouts) {
+  if (workouts.length === 0) return null;
+
+  const last = workouts.reduce((latest, workout) => workout.date > latest.date ? workout : latest);
+  const sets = getWorkoutSets(last);
+  const topWeight = Math.max(...sets.map(set => set.weight || 0));
+  const workingSets = sets.filter(set => (set.weight || 0) === topWeight);
+  const reps = Math.round(Math.min(...workingSets.map(set => getSetUnits(exercise, set))));
+  const suggestion = { exerciseId: exercise.id, sets: sets.length, basedOn: last.date };
+
+  if (topWeight > 0) {
+    if (reps >= OVERLOAD_RULES.repRangeTop) {
+      const step = Math.max(
+        Math.round(topWeight * OVERLOAD_RULES.weightIncrease / OVERLOAD_RULES.minWeightStep) * OVERLOAD_RULES.minWeightStep,
+        OVERLOAD_RULES.minWeightStep
+      );
+      return {
+        ...suggestion,
+        reps: OVERLOAD_RULES.repRangeBottom,
+        weight: topWeight + step,
+        reason: `You hit ${reps} reps at ${topWeight} — add weight and work back up.`
+      };
+    }
+    return {
+      ...suggestion,
+      reps: reps + 1,
+      weight: topWeight,
+      reason: `Beat last time: aim for ${reps + 1} reps at ${topWeight}.`
+    };
+  }
+
+  const target = Math.max(reps + 1, Math.ceil(reps * (1 + OVERLOAD_RULES.bodyweightIncrease)));
+  return {
+    ...suggestion,
+    reps: target,
+    weight: 0,
+    reason: `Last time you did ${reps} ${exercise.unit} — go for ${target}.`
+  };
+}
+
+// Personal records per exercise
+app.get("/records", authenticateToken, validate({
+  query: { exercise: field.string({ max: 60 }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  let exercises = EXERCISES;
+  if (req.query.exercise) {
+    const exercise = findExercise(req.query.exercise);
+    if (!exercise) {
+      return res.status(400).json({ success: false, message: "Unknown exercise. See /exercises for the list." });
+    }
+    exercises = [exercise];
+  }
+
+  const records = exercises
+    .map(exercise => ({ exercise, workouts: getExerciseWorkouts(user, exercise.id) }))
+    .filter(({ workouts }) => workouts.length > 0)
+    .map(({ exercise, workouts }) => {
+      const summary = summarizeRecords(exercise, workouts);
+      return {
+        exerciseId: exercise.id,
+        name: exercise.name,
+        unit: exercise.unit,
+        bestWeight: summary.bestWeight,
+        bestReps: summary.bestReps,
+        estimated1RM: summary.estimated1RM,
+        bestVolume: summary.bestVolume,
+        repsAtWeight: Object.values(summary.repsAtWeight).sort((a, b) => a.weight - b.weight),
+        workoutsLogged: workouts.length,
+        nextTarget: getOverloadSuggestion(exercise, workouts)
+      };
+    });
+
+  res.json({ success: true, records });
+}));
+
+// Exercise catalog
+app.get("/exercises", (req, res) => {
+  res.json({ success: true, exercises: EXERCISES });
+});
+
+// ====== ANTI-CHEAT ======
+// XP comes from whatever the client says it did, so logged workouts go
+// through plausibility checks first:
+//   - sets beyond the exercise's catalog `limits` are refused outright
+//   - only so many logs (and battle wins) an hour and a day earn XP; the
+//     rest still go in the history, for nothing
+//   - the same exercise, reps and weight logged again within a day earns
+//     less each time
+//   - a workout far beyond the hero's own history is held in the
+//     moderation queue and earns nothing until a moderator approves it
+const ANTI_CHEAT = {
+  maxSetsPerLog: 20,
+  xpLogsPerHour: 8,
+  xpLogsPerDay: 30,
+  repeatWindowHours: 24,
+  // Each identical repeat earns this share of the one before, down to the floor
+  repeatDecay: 0.5,
+  repeatFloor: 0.1,
+  // A set is an outlier past `historyFactor` x the hero's best set (and
+  // `targetFactor` x the exercise's base target); a weight is past
+  // `weightFactor` x their heaviest (and half the exercise's limit)
+  outlier: { historyFactor: 3, targetFactor: 10, weightFactor: 1.5 },
+  maxPendingReviews: 5,
+  // /battle/attack names no exercise, so it has ceilings of its own. Its
+  // reps x weight adds at most `maxWorkDamage` to a strike, and a new
+  // battle can only start `battleCooldownMinutes` after the last one did.
+  attackLimits: { reps: 300, weight: 500 },
+  maxWorkDamage: 50,
+  battleCooldownMinutes: 5
+};
+
+// Why some set is past the hard ceiling, or null if they are all fine
+function checkSetLimits(exercise, sets, limits = exercise.limits) {
+  if (sets.length > ANTI_CHEAT.maxSetsPerLog) {
+    return `At most ${ANTI_CHEAT.maxSetsPerLog} sets of ${exercise.name} can be logged at once`;
+  }
+  for (const set of sets) {
+    if (getSetUnits(exercise, set) > limits.perSet) {
+      return `${exercise.name} is capped at ${limits.perSet} ${exercise.unit} per set`;
+    }
+    if ((set.weight || 0) > limits.weight) {
+      return `${exercise.name} is capped at ${limits.weight} lbs`;
+    }
+  }
+  return null;
+}
+
+// Separate logs between `since` and `until`; a session's exercises count as
+// one, and so does each battle won
+function countXPLogs(user, since, until) {
+  const within = date => date >= since && date <= until;
+  const workouts = new Set(user.workouts
+    .filter(workout => within(getWorkoutLoggedAt(workout)))
+    .map(workout => String(workout.sessionId || workout._id))).size;
+  const battles = user.battles.filter(battle => battle.victory && within(battle.completedAt)).length;
+  return workouts + battles;
+}
+
+function getSetSignature(exercise, sets) {
+  return sets.map(set => `${getSetUnits(exercise, set)}x${set.weight || 0}`).join(',');
+}
+
+/**
+ * Share of its XP a log sent at `now` earns: nothing once the hourly or
+ * daily allowance is used up, and less for each identical repeat of the
+ * same exercise (skipped when `exercise` is null, to check the limits alone).
+ *
+ * @returns {{factor: number, adjustments: string[]}}
+ */
+function getXPAllowance(user, exercise, sets, now = new Date()) {
+  const hour = 60 * 60 * 1000;
+  if (countXPLogs(user, new Date(now - hour), now) >= ANTI_CHEAT.xpLogsPerHour) {
+    return { factor: 0, adjustments: ['hourly_limit'] };
+  }
+  if (countXPLogs(user, new Date(now - 24 * hour), now) >= ANTI_CHEAT.xpLogsPerDay) {
+    return { factor: 0, adjustments: ['daily_limit'] };
+  }
+  if (!exercise) return { factor: 1, adjustments: [] };
+
+  const signature = getSetSignature(exercise, sets);
+  const windowStart = new Date(now - ANTI_CHEAT.repeatWindowHours * hour);
+  const repeats = getExerciseWorkouts(user, exercise.id)
+    .filter(workout => getWorkoutLoggedAt(workout) >= windowStart && getWorkoutLoggedAt(workout) <= now && getSetSignature(exercise, getWorkoutSets(workout)) === signature)
+    .length;
+  if (repeats === 0) return { factor: 1, adjustments: [] };
+
+  return { factor: Math.max(Math.pow(ANTI_CHEAT.repeatDecay, repeats), ANTI_CHEAT.repeatFloor), adjustments: ['repeat'] };
+}
+
+// Reasons a workout looks too good next to the hero's own history
+function findOutliers(user, exercise, sets, excludeId = null) {
+  const { bestReps, bestWeight } = summarizeRecords(exercise, getExerciseWorkouts(user, exercise.id, excludeId));
+  const { historyFactor, targetFactor, weightFactor } = ANTI_CHEAT.outlier;
+  const unitCeiling = Math.max((bestReps ? bestReps.value : 0) * historyFactor, exercise.baseTarget * targetFactor);
+  const weightCeiling = Math.max((bestWeight ? bestWeight.value : 0) * weightFactor, exercise.limits.weight / 2);
+
+  const topUnits = Math.max(...sets.map(set => getSetUnits(exercise, set)));
+  const topWeight = Math.max(...sets.map(set => set.weight || 0));
+  const reasons = [];
+  if (topUnits > unitCeiling) {
+    reasons.push(`${topUnits} ${exercise.unit} in one set is far beyond your ${exercise.name} history`);
+  }
+  if (topWeight > weightCeiling) {
+    reasons.push(`${topWeight} lbs is far heavier than your ${exercise.name} history`);
+  }
+  return reasons;
+}
+
+function describeReview(review) {
+  const nameOf = exerciseId => {
+    const exercise = findExercise(exerciseId);
+    return exercise ? exercise.name : exerciseId;
+  };
+  return {
+    id: review._id,
+    heroName: review.heroName,
+    sessionId: review.sessionId || null,
+    exerciseId: review.exerciseId,
+    name: review.sessionId ? "Workout session" : nameOf(review.exerciseId),
+    setDetails: review.setDetails,
+    exercises: review.exercises.map(entry => ({ exerciseId: entry.exerciseId, name: nameOf(entry.exerciseId), setDetails: entry.setDetails })),
+    reasons: review.reasons,
+    status: review.status,
+    loggedAt: review.loggedAt,
+    reviewedAt: review.reviewedAt,
+    note: review.note
+  };
+}
+
+/**
+ * Add a quick-log workout to the hero's history and pay out for it: XP
+ * (scaled by the streak and the anti-cheat allowance), records, streaks,
+ * achievements and quest progress, then raid damage and duel attacks if it
+ * earned anything. Saves the hero.
+ */
+async function recordWorkout(user, exercise, setDetails, { date = new Date(), allowance = { factor: 1, adjustments: [] } } = {}) {
+  const personalRecords = detectPersonalRecords(exercise, getExerciseWorkouts(user, exercise.id), setDetails);
+  const prBonusXP = getPersonalRecordXP(personalRecords);
+  const streakMultiplier = getStreakMultiplier(getStreak(user, 'workout').current);
+  const xp = Math.round((calculateExerciseXP(exercise, setDetails) + prBonusXP) * streakMultiplier * allowance.factor);
+
+  user.workouts.push({
+    exerciseId: exercise.id,
+    name: exercise.name,
+    reps: setDetails.reduce((sum, set) => sum + (set.reps || 0), 0),
+    sets: setDetails.length,
+    weight: Math.max(...setDetails.map(set => set.weight || 0)),
+    setDetails,
+    personalRecords,
+    streakMultiplier,
+    xpFactor: allowance.factor,
+    xpAdjustments: allowance.adjustments,
+    xp,
+    date,
+    loggedAt: date
+  });
+  trackWorkoutVolume(user, getSetsVolume(exercise, setDetails));
+
+  const progression = grantXP(user, xp, { source: 'workout', focusStat: exercise.stat });
+  const streakEvents = syncStreaks(user);
+  const achievementsUnlocked = evaluateAchievements(user);
+  queueQuestProgress(user);
+
+  await user.save();
+
+  const workout = user.workouts[user.workouts.length - 1];
+  let raid = null;
+  let duels = [];
+  if (allowance.factor > 0) {
+    // The workout is already saved, so a raid or duel hiccup shouldn't fail it
+    raid = await applyRaidDamage(user, calculateRaidDamage(user, exercise, setDetails))
+      .catch(err => console.error("Raid damage error:", err));
+    duels = await applyDuelAttacks(user, { workoutId: workout._id, reps: setDetails[0].reps, weight: setDetails[0].weight })
+      .catch(err => console.error("Duel attack error:", err));
+  }
+
+  return { workout, xp, progression, personalRecords, prBonusXP, streakMultiplier, streakEvents, achievementsUnlocked, raid, duels };
+}
+
+const XP_ADJUSTMENT_NOTES = {
+  hourly_limit: `only ${ANTI_CHEAT.xpLogsPerHour} workouts and battles an hour earn XP`,
+  daily_limit: `only ${ANTI_CHEAT.xpLogsPerDay} workouts and battles a day earn XP`,
+  repeat: "the same workout again today earns less"
+};
+
+// Log workout
+app.post("/log-workout", authenticateToken, validate({
+  body: {
+    exerciseId: field.string({ max: 60 }),
+    name: field.string({ max: 60 }),
+    reps: field.integer({ required: true, min: 1, max: 100000 }),
+    weight: field.number({ min: 0, max: 1000, default: 0 }),
+    sets: field.integer({ min: 1, max: 50, default: 1 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { exerciseId, name, reps, weight, sets } = req.body;
+  const exercise = findExercise(exerciseId || name);
+  
+  if (!exercise) {
+    return res.status(400).json({ success: false, message: "Unknown exercise. See /exercises for the list." });
+  }
+  
+  const setDetails = Array.from({ length: sets }, () => ({ reps, weight }));
+  const overLimit = checkSetLimits(exercise, setDetails);
+  if (overLimit) {
+    return res.status(400).json({ success: false, code: 'IMPLAUSIBLE_ACTIVITY', message: overLimit });
+  }
+  
+  const user = await requireUser(req);
+  const now = new Date();
+  const allowance = getXPAllowance(user, exercise, setDetails, now);
+  
+  const reasons = findOutliers(user, exercise, setDetails);
+  if (reasons.length > 0) {
+    const pending = await ActivityReview.countDocuments({ user: user._id, status: 'pending' });
+    if (pending >= ANTI_CHEAT.maxPendingReviews) {
+      return res.status(429).json({
+        success: false,
+        code: 'REVIEW_QUEUE_FULL',
+        message: "You already have workouts waiting for review. Try again once they have been checked"
+      });
+    }
+    
+    const review = await ActivityReview.create({
+      user: user._id,
+      heroName: user.heroName,
+      exerciseId: exercise.id,
+      setDetails,
+      reasons,
+      xpFactor: allowance.factor,
+      xpAdjustments: allowance.adjustments,
+      loggedAt: now
+    });
+    
+    return res.status(202).json({
+      success: true,
+      pending: true,
+      message: "Workout held for review. Its XP is awarded once a moderator approves it",
+      review: describeReview(review),
+      xpEarned: 0
+    });
+  }
+  
+  const result = await recordWorkout(user, exercise, setDetails, { date: now, allowance });
+  const notes = allowance.adjustments.map(adjustment => XP_ADJUSTMENT_NOTES[adjustment]);
+  
+  res.json({ 
+    success: true, 
+    message: notes.length > 0 ? `Workout logged (${notes.join('; ')})` : "Workout logged successfully",
+    raid: result.raid || null,
+    duels: result.duels || [],
+    leveledUp: result.progression.leveledUp,
+    newLevel: result.progression.leveledUp ? result.progression.newLevel : null,
+    levelUps: result.progression.events,
+    personalRecords: result.personalRecords,
+    prBonusXP: result.prBonusXP,
+    streakMultiplier: result.streakMultiplier,
+    streakEvents: result.streakEvents,
+    achievementsUnlocked: result.achievementsUnlocked,
+    xpFactor: allowance.factor,
+    xpAdjustments: allowance.adjustments,
+    xpEarned: result.xp
+  });
+}));
+
+// The hero's workouts that were held for review
+app.get("/workouts/reviews", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  const reviews = await ActivityReview.find({ user: user._id }).sort({ loggedAt: -1 }).limit(50);
+  res.json({ success: true, reviews: reviews.map(describeReview) });
+}));
+
+// ====== MODERATION ======
+
+// Review queue, oldest first
+app.get("/moderation/reviews", authenticateToken, requireModerator, validate({
+  query: {
+    status: field.oneOf(['pending', 'approved', 'rejected'], { default: 'pending' }),
+    limit: field.integer({ min: 1, max: 100, default: 50 })
+  }
+}), asyncHandler(async (req, res) => {
+  const reviews = await ActivityReview.find({ status: req.query.status })
+    .sort({ loggedAt: req.query.status === 'pending' ? 1 : -1 })
+    .limit(req.query.limit);
+  res.json({ success: true, reviews: reviews.map(describeReview) });
+}));
+
+// Approve: the workout (or session) is logged as of when it was sent and
+// earns its XP
+app.post("/moderation/reviews/:id/approve", authenticateToken, requireModerator, validate({
+  params: { id: field.objectId({ required: true }) },
+  body: { note: field.string({ max: 500 }) }
+}), asyncHandler(async (req, res) => {
+  // Only the request that flips it from pending logs the workout
+  const review = await ActivityReview.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    { $set: { status: 'approved', reviewedAt: new Date(), reviewedBy: req.moderator._id, note: req.body.note } },
+    { new: true }
+  );
+  if (!review) {
+    return res.status(404).json({ success: false, message: "No pending review with that id" });
+  }
+
+  const user = await User.findById(review.user);
+  const session = user && review.sessionId ? user.sessions.id(review.sessionId) : null;
+  const exercise = findExercise(review.exerciseId);
+  const found = review.sessionId ? session && session.status === 'pending' : exercise;
+  if (!user || !found) {
+    return res.json({ success: true, message: "Approved, but the hero or workout no longer exists", review: describeReview(review) });
+  }
+
+  queueUserEvent(user, 'workout_reviewed', { reviewId: review._id, status: 'approved', name: describeReview(review).name });
+  const result = session
+    ? await finishSession(user, session, { endedAt: review.loggedAt })
+    : await recordWorkout(user, exercise, review.setDetails.map(set => set.toObject()), {
+      date: review.loggedAt,
+      allowance: { factor: review.xpFactor, adjustments: review.xpAdjustments }
+    });
+
+  res.json({ success: true, message: `Approved: ${user.heroName} earned ${result.xp} XP`, review: describeReview(review), xpEarned: result.xp });
+}));
+
+// Reject: the workout is dropped (a session is kept, marked rejected) and
+// earns nothing
+app.post("/moderation/reviews/:id/reject", authenticateToken, requireModerator, validate({
+  params: { id: field.objectId({ required: true }) },
+  body: { note: field.string({ max: 500 }) }
+}), asyncHandler(async (req, res) => {
+  const review = await ActivityReview.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    { $set: { status: 'rejected', reviewedAt: new Date(), reviewedBy: req.moderator._id, note: req.body.note } },
+    { new: true }
+  );
+  if (!review) {
+    return res.status(404).json({ success: false, message: "No pending review with that id" });
+  }
+
+  if (review.sessionId) {
+    await User.updateOne(
+      { _id: review.user, sessions: { $elemMatch: { _id: review.sessionId, status: 'pending' } } },
+      { $set: { 'sessions.$.status': 'rejected' } }
+    );
+  }
+  publishEvent(review.user, 'workout_reviewed', { reviewId: review._id, status: 'rejected', note: review.note });
+  res.json({ success: true, message: "Rejected", review: describeReview(review) });
+}));
+
+// ====== WORKOUT SESSIONS ======
+
+// Request fields for the sets and exercises of a session
+const setField = field.object({
+  reps: field.integer({ min: 0, max: 100000 }),
+  weight: field.number({ min: 0, max: 1000 }),
+  duration: field.number({ min: 0, max: 24 * 60 * 60 }),
+  rpe: field.number({ min: 1, max: 10 }),
+  completedAt: field.date()
+});
+
+const sessionExercisesField = field.array(field.object({
+  exerciseId: field.string({ max: 60 }),
+  name: field.string({ max: 60 }),
+  sets: field.array(setField, { max: 100 })
+}), { max: 30 });
+
+// Match the exercises sent for a session (already checked against
+// sessionExercisesField) to the catalog and its per-set limits. Returns the
+// cleaned list, or an error message and code.
+function parseSessionExercises(exercises) {
+  const parsed = [];
+  for (const entry of exercises) {
+    const exercise = findExercise(entry && (entry.exerciseId || entry.name));
+    if (!exercise) {
+      return { error: `Unknown exercise: ${entry && (entry.exerciseId || entry.name)}` };
+    }
+
+    const sets = [];
+    for (const set of entry.sets || []) {
+      sets.push({
+        reps: set.reps || 0,
+        weight: set.weight || 0,
+        duration: set.duration,
+        rpe: set.rpe,
+        completedAt: set.completedAt ? new Date(set.completedAt) : new Date()
+      });
+    }
+
+    const overLimit = checkSetLimits(exercise, sets);
+    if (overLimit) {
+      return { error: overLimit, code: 'IMPLAUSIBLE_ACTIVITY' };
+    }
+
+    parsed.push({ exerciseId: exercise.id, name: exercise.name, sets });
+  }
+
+  return { exercises: parsed };
+}
+
+// Workouts logged outside a session, shown in the same shape as a session
+// (quick logs keep their sets, older rows read as one set of their total reps)
+function workoutAsSession(workout) {
+  const sets = workout.setDetails && workout.setDetails.length > 0
+    ? workout.setDetails
+    : [{ reps: workout.reps, weight: workout.weight || 0 }];
+
+  return {
+    _id: workout._id,
+    status: 'finished',
+    startedAt: workout.date,
+    endedAt: workout.date,
+    exercises: [{ exerciseId: getWorkoutExerciseId(workout), name: workout.name, sets }],
+    xp: workout.xp,
+    quickLog: true
+  };
+}
+
+// List sessions, including quick-logged workouts
+app.get("/sessions", authenticateToken, validate({
+  query: { limit: field.integer({ min: 1, max: 100, default: 20 }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const { limit } = req.query;
+  const sessions = [
+    ...user.sessions.map(session => session.toObject()),
+    ...user.workouts.filter(workout => !workout.sessionId).map(workoutAsSession)
+  ]
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, limit);
+
+  res.json({ success: true, sessions });
+}));
+
+// Start session
+app.post("/sessions/start", authenticateToken, validate({
+  body: {
+    exercises: { ...sessionExercisesField, default: [] },
+    notes: field.string({ max: 1000 })
+  }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  if (user.sessions.some(session => session.status === 'active')) {
+    return res.status(409).json({ success: false, message: "Finish your current session before starting a new one" });
+  }
+
+  const parsed = parseSessionExercises(req.body.exercises);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, code: parsed.code, message: parsed.error });
+  }
+
+  user.sessions.push({
+    status: 'active',
+    startedAt: new Date(),
+    exercises: parsed.exercises,
+    notes: req.body.notes
+  });
+  await user.save();
+
+  res.json({ success: true, session: user.sessions[user.sessions.length - 1] });
+}));
+
+// Update session: replaces its exercise list and/or notes
+app.patch("/sessions/:id", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) },
+  body: {
+    exercises: sessionExercisesField,
+    notes: field.string({ max: 1000 })
+  }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const session = user.sessions.id(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, message: "Session not found" });
+  }
+  if (session.status !== 'active') {
+    return res.status(409).json({ success: false, message: "Session is already finished" });
+  }
+
+  if (req.body.exercises !== undefined) {
+    const parsed = parseSessionExercises(req.body.exercises);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, code: parsed.code, message: parsed.error });
+    }
+    session.exercises = parsed.exercises;
+  }
+  if (req.body.notes !== undefined) {
+    session.notes = req.body.notes;
+  }
+
+  await user.save();
+  res.json({ success: true, session });
+}));
+
+/**
+ * Close out a session: each exercise lands in the workout log with the
+ * personal records it set, XP is paid (record bonuses included, scaled by
+ * the streak and each exercise's anti-cheat allowance), then
+ * streaks, achievements and quests update and, if it earned anything, it
+ * hits the raid boss and counts as a duel attack. Saves the hero.
+ */
+async function finishSession(user, session, { endedAt = new Date() } = {}) {
+  const performed = session.exercises.filter(entry => entry.sets.length > 0);
+  const sessionXP = calculateSessionXP(session);
+  const streakMultiplier = getStreakMultiplier(getStreak(user, 'workout').current);
+
+  // The hourly and daily limits apply to the session as a whole, repeat
+  // decay to each exercise in it
+  const allowance = getXPAllowance(user, null, null, endedAt);
+  const entryAllowances = performed.map(entry => getXPAllowance(user, findExercise(entry.exerciseId), entry.sets, endedAt));
+
+  // Records are checked against what was logged before the session
+  const entryRecords = performed.map(entry => {
+    const exercise = findExercise(entry.exerciseId);
+    return detectPersonalRecords(exercise, getExerciseWorkouts(user, exercise.id), entry.sets);
+  });
+  const personalRecords = entryRecords.flatMap((records, index) =>
+    records.map(record => ({ exerciseId: performed[index].exerciseId, name: performed[index].name, ...record })));
+  const entryXP = sessionXP.perExercise.map((xp, index) => xp + getPersonalRecordXP(entryRecords[index]));
+  const prBonusXP = entryRecords.reduce((sum, records) => sum + getPersonalRecordXP(records), 0);
+
+  const baseXP = sessionXP.total + prBonusXP;
+  const varietyXP = sessionXP.total - sessionXP.perExercise.reduce((sum, xp) => sum + xp, 0);
+  const allowedXP = entryXP.reduce((sum, xp, index) => sum + xp * entryAllowances[index].factor, 0) + varietyXP * allowance.factor;
+  const xpFactor = baseXP > 0 ? Math.round(allowedXP / baseXP * 100) / 100 : allowance.factor;
+  const xpAdjustments = [...new Set(entryAllowances.flatMap(entry => entry.adjustments))];
+
+  const totalXP = Math.round(baseXP * streakMultiplier * xpFactor);
+  session.status = 'finished';
+  session.endedAt = endedAt;
+  session.streakMultiplier = streakMultiplier;
+  session.xpFactor = xpFactor;
+  session.prBonusXP = prBonusXP;
+  session.xp = totalXP;
+
+  // Each exercise also lands in the workout log, which quests and
+  // recommendations read from
+  performed.forEach((entry, index) => {
+    user.workouts.push({
+      exerciseId: entry.exerciseId,
+      sessionEntryId: entry._id,
+      name: entry.name,
+      reps: entry.sets.reduce((sum, set) => sum + (set.reps || 0), 0),
+      sets: entry.sets.length,
+      weight: Math.max(...entry.sets.map(set => set.weight || 0)),
+      setDetails: entry.sets,
+      sessionId: session._id,
+      personalRecords: entryRecords[index],
+      xpFactor: entryAllowances[index].factor,
+      xpAdjustments: entryAllowances[index].adjustments,
+      xp: Math.round(entryXP[index] * entryAllowances[index].factor),
+      date: endedAt,
+      loggedAt: endedAt
+    });
+    trackWorkoutVolume(user, getSetsVolume(findExercise(entry.exerciseId), entry.sets));
+  });
+
+  // Level-up focus goes to the stat trained with the most sets
+  const setsByStat = {};
+  for (const entry of performed) {
+    const stat = findExercise(entry.exerciseId).stat;
+    setsByStat[stat] = (setsByStat[stat] || 0) + entry.sets.length;
+  }
+  const focusStat = Object.entries(setsByStat).sort((a, b) => b[1] - a[1])[0][0];
+
+  const progression = grantXP(user, totalXP, { source: 'session', focusStat });
+  const streakEvents = syncStreaks(user);
+  const achievementsUnlocked = evaluateAchievements(user);
+  queueQuestProgress(user);
+
+  await user.save();
+
+  // A session past the hourly or daily allowance doesn't fight either
+  let raid = null;
+  let duels = [];
+  if (allowance.factor > 0) {
+    const raidDamage = performed.reduce((sum, entry) => sum + calculateRaidDamage(user, findExercise(entry.exerciseId), entry.sets), 0);
+    raid = await applyRaidDamage(user, raidDamage)
+      .catch(err => console.error("Raid damage error:", err));
+
+    // A session is one duel attack, powered by its heaviest set
+    const topSet = performed.flatMap(entry => entry.sets)
+      .reduce((best, set) => (set.reps || 0) * (set.weight || 1) > (best.reps || 0) * (best.weight || 1) ? set : best);
+    duels = await applyDuelAttacks(user, { workoutId: session._id, reps: topSet.reps, weight: topSet.weight })
+      .catch(err => console.error("Duel attack error:", err));
+  }
+
+  return { xp: totalXP, xpFactor, xpAdjustments, personalRecords, prBonusXP, streakMultiplier, progression, streakEvents, achievementsUnlocked, raid, duels };
+}
+
+// Finish session. One that looks implausible is held for review instead,
+// like a quick log, and pays out once a moderator approves it.
+app.post("/sessions/:id/finish", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const session = user.sessions.id(req.params.id);
+  if (!session) {
+    return res.status(404).json({ success: false, message: "Session not found" });
+  }
+  if (session.status !== 'active') {
+    return res.status(409).json({ success: false, message: "Session is already finished" });
+  }
+
+  const performed = session.exercises.filter(entry => entry.sets.length > 0);
+  if (performed.length === 0) {
+    return res.status(400).json({ success: false, message: "Log at least one set before finishing" });
+  }
+
+  const endedAt = new Date();
+  const reasons = performed.flatMap(entry => findOutliers(user, findExercise(entry.exerciseId), entry.sets));
+  if (reasons.length > 0) {
+    const pending = await ActivityReview.countDocuments({ user: user._id, status: 'pending' });
+    if (pending >= ANTI_CHEAT.maxPendingReviews) {
+      return res.status(429).json({
+        success: false,
+        code: 'REVIEW_QUEUE_FULL',
+        message: "You already have workouts waiting for review. Try again once they have been checked"
+      });
+    }
+
+    session.status = 'pending';
+    session.endedAt = endedAt;
+    await user.save();
+
+    const review = await ActivityReview.create({
+      user: user._id,
+      heroName: user.heroName,
+      sessionId: session._id,
+      exercises: performed.map(entry => ({ exerciseId: entry.exerciseId, setDetails: entry.sets })),
+      reasons,
+      loggedAt: endedAt
+    });
+
+    return res.status(202).json({
+      success: true,
+      pending: true,
+      message: "Session held for review. Its XP is awarded once a moderator approves it",
+      review: describeReview(review),
+      session,
+      xpEarned: 0
+    });
+  }
+
+  const result = await finishSession(user, session, { endedAt });
+
+  const notes = result.xpAdjustments.map(adjustment => XP_ADJUSTMENT_NOTES[adjustment]);
+  res.json({
+    success: true,
+    message: notes.length > 0 ? `Session complete (${notes.join('; ')})` : "Session complete!",
+    raid: result.raid || null,
+    duels: result.duels || [],
+    session,
+    xpEarned: result.xp,
+    xpFactor: result.xpFactor,
+    xpAdjustments: result.xpAdjustments,
+    personalRecords: result.personalRecords,
+    prBonusXP: result.prBonusXP,
+    streakMultiplier: result.streakMultiplier,
+    streakEvents: result.streakEvents,
+    achievementsUnlocked: result.achievementsUnlocked,
+    leveledUp: result.progression.leveledUp,
+    newLevel: result.progression.leveledUp ? result.progression.newLevel : null,
+    levelUps: result.progression.events
+  });
+}));
+
+// ====== WORKOUT HISTORY ======
+
+// Per-set data for a logged workout. Rows saved before sets were tracked
+// only have totals, so their reps are split evenly across the sets.
+function getWorkoutSets(workout) {
+  if (workout.setDetails && workout.setDetails.length > 0) {
+    return workout.setDetails.map(set => ({ reps: set.reps, weight: set.weight, duration: set.duration, rpe: set.rpe }));
+  }
+  const count = workout.sets || 1;
+  return Array.from({ length: count }, () => ({ reps: (workout.reps || 0) / count, weight: workout.weight || 0 }));
+}
+
+// Weight moved in a logged workout, set by set
+function getWorkoutVolume(workout) {
+  const exercise = findExercise(getWorkoutExerciseId(workout));
+  return exercise ? getSetsVolume(exercise, getWorkoutSets(workout)) : 0;
+}
+
+// Recalculate a finished session's XP after one of its exercises changed.
+// Returns how much the total moved.
+function recomputeSessionXP(session) {
+  const previousXP = session.xp || 0;
+  session.xp = session.exercises.some(entry => entry.sets.length > 0)
+    ? Math.round((calculateSessionXP(session).total + (session.prBonusXP || 0)) * (session.streakMultiplier || 1) * (session.xpFactor ?? 1))
+    : 0;
+  return session.xp - previousXP;
+}
+
+// Workout history
+app.get("/workouts", authenticateToken, validate({
+  query: {
+    from: field.day(),
+    to: field.day(),
+    exercise: field.string({ max: 60 }),
+    limit: field.integer({ min: 1, max: 100, default: 20 }),
+    page: field.integer({ min: 1, default: 1 })
+  }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const { from, to, exercise: exerciseQuery, limit, page } = req.query;
+
+  let exerciseId = null;
+  if (exerciseQuery) {
+    const exercise = findExercise(exerciseQuery);
+    if (!exercise) {
+      return res.status(400).json({ success: false, message: "Unknown exercise. See /exercises for the list." });
+    }
+    exerciseId = exercise.id;
+  }
+
+  // Dates are whole local days in the hero's timezone, both ends included
+  const start = from ? getZonedMidnight(from, user.timezone) : null;
+  const end = to ? getZonedMidnight(addDaysToDateString(to, 1), user.timezone) : null;
+
+  const matching = user.workouts
+    .filter(workout => !start || workout.date >= start)
+    .filter(workout => !end || workout.date < end)
+    .filter(workout => !exerciseId || getWorkoutExerciseId(workout) === exerciseId)
+    .sort((a, b) => b.date - a.date);
+
+  const workouts = matching.slice((page - 1) * limit, page * limit).map(workout => ({
+    ...workout.toObject(),
+    exerciseId: getWorkoutExerciseId(workout),
+    setDetails: getWorkoutSets(workout)
+  }));
+
+  res.json({
+    success: true,
+    workouts,
+    pagination: {
+      page,
+      limit,
+      total: matching.length,
+      totalPages: Math.ceil(matching.length / limit)
+    }
+  });
+}));
+
+// How far before it was logged a workout's date can be moved
+const WORKOUT_BACKDATE_DAYS = 7;
+
+// Edit workout. Send `setDetails` to replace every set, or `reps`, `weight`
+// and `sets` to change a quick log; XP, level and stats are recalculated.
+app.patch("/workouts/:id", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) },
+  body: {
+    exerciseId: field.string({ max: 60 }),
+    name: field.string({ max: 60 }),
+    setDetails: field.array(setField, { max: 100 }),
+    sets: field.integer({ min: 1, max: 50 }),
+    reps: field.integer({ min: 0, max: 100000 }),
+    weight: field.number({ min: 0, max: 1000 }),
+    date: field.date()
+  }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const workout = user.workouts.id(req.params.id);
+  if (!workout) {
+    return res.status(404).json({ success: false, message: "Workout not found" });
+  }
+
+  const exercise = findExercise(req.body.exerciseId || req.body.name || getWorkoutExerciseId(workout));
+  if (!exercise) {
+    return res.status(400).json({ success: false, message: "Unknown exercise. See /exercises for the list." });
+  }
+
+  let sets;
+  if (req.body.setDetails !== undefined) {
+    const parsed = parseSessionExercises([{ exerciseId: exercise.id, sets: req.body.setDetails }]);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, code: parsed.code, message: parsed.error });
+    }
+    sets = parsed.exercises[0].sets;
+  } else {
+    const current = getWorkoutSets(workout);
+    const count = req.body.sets ?? current.length;
+    const reps = req.body.reps ?? current[0].reps;
+    const weight = req.body.weight ?? current[0].weight;
+    sets = Array.from({ length: count }, () => ({ reps, weight }));
+  }
+
+  if (sets.length === 0) {
+    return res.status(400).json({ success: false, message: "A workout needs at least one set" });
+  }
+
+  const overLimit = checkSetLimits(exercise, sets);
+  if (overLimit) {
+    return res.status(400).json({ success: false, code: 'IMPLAUSIBLE_ACTIVITY', message: overLimit });
+  }
+  // Editing can't be a way around the review queue
+  if (findOutliers(user, exercise, sets, workout._id).length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: 'NEEDS_REVIEW',
+      message: "That is far beyond your history for this exercise. Log it as a new workout so it can be reviewed"
+    });
+  }
+
+  let date = workout.date;
+  if (req.body.date !== undefined) {
+    date = new Date(req.body.date);
+    const earliest = new Date(getWorkoutLoggedAt(workout).getTime() - WORKOUT_BACKDATE_DAYS * 24 * 60 * 60 * 1000);
+    if (date > new Date() || date < earliest) {
+      const message = `date must be in the past, at most ${WORKOUT_BACKDATE_DAYS} days before the workout was logged`;
+      return res.status(400).json({ success: false, code: 'VALIDATION_FAILED', message, details: [{ field: 'date', message }] });
+    }
+  }
+
+  // Records are re-checked against everything logged before this workout
+  const personalRecords = detectPersonalRecords(
+    exercise,
+    getExerciseWorkouts(user, exercise.id, workout._id).filter(other => other.date < date),
+    sets
+  );
+  const xp = Math.round((calculateExerciseXP(exercise, sets) + getPersonalRecordXP(personalRecords)) * (workout.streakMultiplier || 1) * (workout.xpFactor ?? 1));
+  let xpChange = xp - (workout.xp || 0);
+
+  // Session rows carry a share of the session's variety bonus, so the
+  // session total is recalculated instead
+  const session = workout.sessionId && user.sessions.id(workout.sessionId);
+  const sessionEntry = session && session.exercises.id(workout.sessionEntryId);
+  if (sessionEntry) {
+    sessionEntry.exerciseId = exercise.id;
+    sessionEntry.name = exercise.name;
+    sessionEntry.sets = sets;
+    session.prBonusXP = Math.max((session.prBonusXP || 0) - getPersonalRecordXP(workout.personalRecords) + getPersonalRecordXP(personalRecords), 0);
+    xpChange = recomputeSessionXP(session);
+  }
+
+  trackWorkoutVolume(user, getSetsVolume(exercise, sets) - getWorkoutVolume(workout));
+  workout.exerciseId = exercise.id;
+  workout.name = exercise.name;
+  workout.reps = sets.reduce((sum, set) => sum + (set.reps || 0), 0);
+  workout.sets = sets.length;
+  workout.weight = Math.max(...sets.map(set => set.weight || 0));
+  workout.setDetails = sets;
+  workout.personalRecords = personalRecords;
+  workout.xp = xp;
+  workout.date = date;
+
+  const progression = adjustXP(user, xpChange, { source: 'workout', focusStat: exercise.stat });
+
+  await user.save();
+  res.json({
+    success: true,
+    message: "Workout updated",
+    workout,
+    xpChange,
+    level: user.level,
+    leveledUp: !!progression.leveledUp,
+    leveledDown: !!progression.leveledDown,
+    levelUps: progression.events || []
+  });
+}));
+
+// Delete workout and take back the XP it earned
+app.delete("/workouts/:id", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const workout = user.workouts.id(req.params.id);
+  if (!workout) {
+    return res.status(404).json({ success: false, message: "Workout not found" });
+  }
+
+  let xpChange = -(workout.xp || 0);
+
+  const session = workout.sessionId && user.sessions.id(workout.sessionId);
+  const sessionEntry = session && session.exercises.id(workout.sessionEntryId);
+  if (sessionEntry) {
+    session.exercises.pull(sessionEntry._id);
+    xpChange = recomputeSessionXP(session);
+  }
+
+  trackWorkoutVolume(user, -getWorkoutVolume(workout));
+  user.workouts.pull(workout._id);
+  const progression = adjustXP(user, xpChange);
+
+  await user.save();
+  res.json({
+    success: true,
+    message: "Workout deleted",
+    xpChange,
+    level: user.level,
+    leveledDown: !!progression.leveledDown
+  });
+}));
+
+// Today's water
+app.get("/today-water", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  
+  const today = getLocalDateString(new Date(), user.timezone);
+  
+  res.json({
+    success: true,
+    ...describeWaterDay(user, today),
+    unit: user.hydration.unit,
+    streak: getHydrationStreak(user, today)
+  });
+}));
+
+// ====== STREAKS ======
+// A streak counts consecutive local days, in the hero's timezone, with
+// activity of one kind. Today never breaks a streak while it is in progress,
+// and days covered by a streak freeze keep a streak alive without adding to it.
+const STREAK_TYPES = ['workout', 'hydration', 'quest', 'login'];
+
+const STREAK_RULES = {
+  multiplierPerDay: 0.02,
+  maxMultiplier: 1.5,
+  milestones: [
+    { days: 7, reward: { xp: 100, gold: 50 } },
+    { days: 30, reward: { xp: 500, gold: 200, item: 'streak_freeze' } },
+    { days: 100, reward: { xp: 2000, gold: 1000, item: 'streak_freeze' } }
+  ],
+  dailyReward: { baseXP: 10, xpPerDay: 5, baseGold: 5, goldPerDay: 2, maxBonusDays: 6 }
+};
+
+// Local days on which the hero did something that counts for `type`
+function getStreakActiveDays(user, type) {
+  const toLocalDay = date => getLocalDateString(new Date(date), user.timezone);
+
+  if (type === 'workout') {
+    return new Set(user.workouts.map(workout => toLocalDay(getWorkoutLoggedAt(workout))));
+  }
+  if (type === 'hydration') {
+    return new Set(user.waterIntake.filter(entry => describeWaterDay(user, entry.date).goalHit).map(entry => entry.date));
+  }
+  if (type === 'quest') {
+    return new Set(user.completedQuests.filter(quest => quest.claimedAt).map(quest => toLocalDay(quest.claimedAt)));
+  }
+  if (type === 'login') {
+    return new Set(user.dailyRewards.map(reward => reward.date));
+  }
+  return new Set();
+}
+
+// True when every day strictly between `from` and `to` is frozen
+function isBridgedByFreezes(from, to, frozenDays) {
+  for (let day = addDaysToDateString(from, 1); day < to; day = addDaysToDateString(day, 1)) {
+    if (!frozenDays.has(day)) return false;
+  }
+  return true;
+}
+
+/**
+ * @param {Set<string>} activeDays - Local days with activity
+ * @param {Set<string>} frozenDays - Local days covered by a streak freeze
+ * @param {string} today - Local date the streak is measured at
+ * @returns {{current: number, longest: number, activeToday: boolean, startedOn: string|null}}
+ */
+function calculateStreak(activeDays, frozenDays, today) {
+  const activeToday = activeDays.has(today);
+  let day = activeToday ? today : addDaysToDateString(today, -1);
+  let current = 0;
+  let startedOn = null;
+
+  while (activeDays.has(day) || frozenDays.has(day)) {
+    if (activeDays.has(day)) {
+      current++;
+      startedOn = day;
+    }
+    day = addDaysToDateString(day, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const activeDay of [...activeDays].sort()) {
+    run = previous && isBridgedByFreezes(previous, activeDay, frozenDays) ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = activeDay;
+  }
+
+  return { current, longest: Math.max(longest, current), activeToday, startedOn };
+}
+
+function getStreak(user, type, now = new Date()) {
+  const today = getLocalDateString(now, user.timezone);
+  return calculateStreak(getStreakActiveDays(user, type), new Set(user.frozenStreakDays), today);
+}
+
+// XP multiplier earned by keeping a streak going
+function getStreakMultiplier(streakDays) {
+  const multiplier = Math.min(1 + streakDays * STREAK_RULES.multiplierPerDay, STREAK_RULES.maxMultiplier);
+  return Math.round(multiplier * 100) / 100;
+}
+
+function getStreakFreezeCount(user) {
+  const entry = user.inventory.find(item => item.item === 'streak_freeze');
+  return entry ? entry.quantity : 0;
+}
+
+// Every streak, as exposed on /profile
+function getStreakSummary(user, now = new Date()) {
+  const summary = {};
+  for (const type of STREAK_TYPES) {
+    const streak = getStreak(user, type, now);
+    summary[type] = { ...streak, multiplier: getStreakMultiplier(streak.current) };
+  }
+  summary.freezes = getStreakFreezeCount(user);
+  return summary;
+}
+
+/**
+ * Bring streaks up to date: spend streak freezes on days missed since a
+ * streak was last active, then pay out any 7/30/100-day milestone the
+ * current run has reached. Call after logging activity and before reading
+ * streaks.
+ *
+ * @param {object} user - User document (mutated, not saved)
+ * @returns {object[]} events for the response (freezes used, milestones reached)
+ */
+function syncStreaks(user, now = new Date()) {
+  const today = getLocalDateString(now, user.timezone);
+  const frozenDays = new Set(user.frozenStreakDays);
+  const events = [];
+
+  for (const type of STREAK_TYPES) {
+    const activeDays = getStreakActiveDays(user, type);
+    const freezes = getStreakFreezeCount(user);
+
+    // Walk back over missed days; give up once there are more than the
+    // freezes owned, since the streak can't be saved then
+    const missed = [];
+    let day = addDaysToDateString(today, -1);
+    while (!activeDays.has(day) && !frozenDays.has(day) && missed.length <= freezes) {
+      missed.push(day);
+      day = addDaysToDateString(day, -1);
+    }
+
+    if (missed.length > 0 && missed.length <= freezes && calculateStreak(activeDays, frozenDays, day).current > 0) {
+      missed.forEach(missedDay => frozenDays.add(missedDay));
+      user.frozenStreakDays.push(...missed);
+      const stack = user.inventory.find(item => item.item === 'streak_freeze');
+      stack.quantity -= missed.length;
+      // An empty stack is removed, as /inventory/use does
+      if (stack.quantity <= 0) user.inventory.pull(stack._id);
+      events.push({ type: 'streak_freeze', streak: type, days: missed });
+    }
+  }
+
+  for (const type of STREAK_TYPES) {
+    const streak = calculateStreak(getStreakActiveDays(user, type), frozenDays, today);
+
+    for (const milestone of STREAK_RULES.milestones) {
+      const alreadyPaid = user.streakMilestones.some(entry =>
+        entry.type === type && entry.days === milestone.days && entry.startedOn === streak.startedOn
+      );
+      if (streak.current < milestone.days || alreadyPaid) continue;
+
+      const { reward } = milestone;
+      user.gold += reward.gold;
+      const progression = grantXP(user, reward.xp, { source: 'streak' });
+      if (reward.item) {
+        const item = SHOP_ITEMS.find(entry => entry.id === reward.item);
+        const stack = user.inventory.find(entry => entry.item === reward.item);
+        if (!stack) {
+          user.inventory.push({ item: reward.item, quantity: 1 });
+        } else if (stack.quantity < item.maxStack) {
+          stack.quantity++;
+        }
+      }
+
+      user.streakMilestones.push({ type, days: milestone.days, startedOn: streak.startedOn, date: now });
+      events.push({ type: 'streak_milestone', streak: type, days: milestone.days, reward }, ...progression.events);
+    }
+  }
+
+  // The hydration streak lapses at the end of the day after its last active day
+  const hydration = calculateStreak(getStreakActiveDays(user, 'hydration'), frozenDays, today);
+  const lastActiveDay = hydration.activeToday ? today : addDaysToDateString(today, -1);
+  user.leaderboard.hydrationStreak = hydration.current;
+  user.leaderboard.hydrationStreakUntil = hydration.current > 0
+    ? getZonedMidnight(addDaysToDateString(lastActiveDay, 2), user.timezone)
+    : null;
+
+  return events;
+}
+
+// Streak overview
+app.get("/streaks", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const events = syncStreaks(user);
+  if (events.length > 0) await user.save();
+
+  res.json({
+    success: true,
+    streaks: getStreakSummary(user),
+    milestones: STREAK_RULES.milestones,
+    streakEvents: events
+  });
+}));
+
+// Daily login reward: once per local day, growing with the login streak
+app.post("/rewards/daily", authenticateToken, asyncHandler(async (req, res, next) => {
+  try {
+    const user = await requireUser(req);
+
+    const today = getLocalDateString(new Date(), user.timezone);
+    if (user.dailyRewards.some(reward => reward.date === today)) {
+      return res.status(409).json({ success: false, message: "Daily reward already claimed today" });
+    }
+
+    const streak = getStreak(user, 'login').current + 1;
+    const rules = STREAK_RULES.dailyReward;
+    const bonusDays = Math.min(streak - 1, rules.maxBonusDays);
+    const reward = {
+      xp: rules.baseXP + rules.xpPerDay * bonusDays,
+      gold: rules.baseGold + rules.goldPerDay * bonusDays
+    };
+
+    user.dailyRewards.push({ date: today, streak, ...reward });
+    user.gold += reward.gold;
+    const progression = grantXP(user, reward.xp, { source: 'daily_reward' });
+    const streakEvents = syncStreaks(user);
+
+    // Bumping the version makes a second claim racing this one fail with a
+    // VersionError instead of paying out twice
+    user.increment();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `Day ${streak} reward: +${reward.xp} XP, +${reward.gold} Gold`,
+      reward,
+      streak,
+      streakEvents,
+      leveledUp: progression.leveledUp,
+      newLevel: progression.leveledUp ? progression.newLevel : null,
+      levelUps: progression.events
+    });
+  } catch (err) {
+    if (err instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ success: false, message: "Daily reward already claimed today" });
+    }
+    next(err);
+  }
+}));
+
+// ====== ACHIEVEMENTS ======
+// Each achievement unlocks once `measure(user)` reaches `target`. Rules only
+// read the user document, so adding one is a matter of adding an entry here.
+const ACHIEVEMENTS = [
+  {
+    id: "first_workout",
+    name: "First Rep",
+    description: "Log your first workout",
+    icon: "🏋️",
+    category: "workout",
+    target: 1,
+    reward: { xp: 25, gold: 10 },
+    measure: user => user.workouts.length
+  },
+  {
+    id: "workouts_50",
+    name: "Regular",
+    description: "Log 50 workouts",
+    icon: "📅",
+    category: "workout",
+    target: 50,
+    reward: { xp: 200, gold: 100 },
+    measure: user => user.workouts.length
+  },
+  {
+    id: "pushups_100",
+    name: "Push-Up Centurion",
+    description: "Do 100 push-ups in total",
+    icon: "💪",
+    category: "workout",
+    target: 100,
+    reward: { xp: 75, gold: 30 },
+    measure: user => getExerciseWorkouts(user, 'pushups').reduce((sum, workout) => sum + (workout.reps || 0), 0)
+  },
+  {
+    id: "squats_500",
+    name: "Leg Day Legend",
+    description: "Do 500 squats in total",
+    icon: "🦵",
+    category: "workout",
+    target: 500,
+    reward: { xp: 150, gold: 60 },
+    measure: user => getExerciseWorkouts(user, 'squats').reduce((sum, workout) => sum + (workout.reps || 0), 0)
+  },
+  {
+    id: "first_pr",
+    name: "New Personal Best",
+    description: "Set a personal record",
+    icon: "📈",
+    category: "workout",
+    target: 1,
+    reward: { xp: 50, gold: 20 },
+    measure: user => user.workouts.filter(workout => workout.personalRecords && workout.personalRecords.length > 0).length
+  },
+  {
+    id: "workout_streak_30",
+    name: "Unstoppable",
+    description: "Reach a 30-day workout streak",
+    icon: "🔥",
+    category: "streak",
+    target: 30,
+    reward: { xp: 300, gold: 150 },
+    measure: user => getStreak(user, 'workout').longest
+  },
+  {
+    id: "hydration_streak_7",
+    name: "Well Watered",
+    description: "Hit your water goal 7 days in a row",
+    icon: "💧",
+    category: "hydration",
+    target: 7,
+    reward: { xp: 100, gold: 40 },
+    measure: user => getStreak(user, 'hydration').longest
+  },
+  {
+    id: "first_victory",
+    name: "First Blood",
+    description: "Win your first battle",
+    icon: "⚔️",
+    category: "battle",
+    target: 1,
+    reward: { xp: 25, gold: 10 },
+    measure: user => user.battles.filter(battle => battle.victory).length
+  },
+  {
+    id: "battles_won_25",
+    name: "Veteran",
+    description: "Win 25 battles",
+    icon: "🛡️",
+    category: "battle",
+    target: 25,
+    reward: { xp: 200, gold: 100 },
+    measure: user => user.battles.filter(battle => battle.victory).length
+  },
+  {
+    id: "all_enemies",
+    name: "Monster Hunter",
+    description: "Defeat every kind of enemy",
+    icon: "🗡️",
+    category: "battle",
+    target: ENEMIES.length,
+    reward: { xp: 250, gold: 120 },
+    measure: user => ENEMIES.filter(enemy =>
+      user.battles.some(battle => battle.victory && !battle.bossId && battle.enemyName === enemy.name)
+    ).length
+  },
+  {
+    id: "never_fled",
+    name: "Fearless",
+    description: "Win 10 battles without ever fleeing",
+    icon: "🦁",
+    category: "battle",
+    target: 10,
+    reward: { xp: 150, gold: 75 },
+    measure: user => user.battles.some(battle => battle.fled) ? 0 : user.battles.filter(battle => battle.victory).length
+  },
+  {
+    id: "first_boss",
+    name: "Giant Slayer",
+    description: "Defeat your first boss",
+    icon: "👑",
+    category: "battle",
+    target: 1,
+    reward: { xp: 100, gold: 50 },
+    measure: user => user.trophies.length
+  },
+  {
+    id: "all_bosses",
+    name: "Legend of FitQuest",
+    description: "Defeat every boss",
+    icon: "🏆",
+    category: "battle",
+    target: BOSSES.length,
+    reward: { xp: 500, gold: 250 },
+    measure: user => BOSSES.filter(boss => user.trophies.some(trophy => trophy.bossId === boss.id)).length
+  },
+  {
+    id: "quests_10",
+    name: "Quest Seeker",
+    description: "Complete 10 quests",
+    icon: "🗺️",
+    category: "quest",
+    target: 10,
+    reward: { xp: 100, gold: 50 },
+    measure: user => user.completedQuests.length
+  },
+  {
+    id: "level_10",
+    name: "Seasoned Hero",
+    description: "Reach level 10",
+    icon: "⭐",
+    category: "progression",
+    target: 10,
+    reward: { xp: 0, gold: 200 },
+    measure: user => user.level
+  }
+];
+
+/**
+ * Unlock every achievement the hero now qualifies for and pay out its
+ * reward. Call after workout, water, battle and quest events.
+ *
+ * @param {object} user - User document (mutated, not saved)
+ * @returns {object[]} unlock events (plus any level-ups the rewards caused)
+ */
+function evaluateAchievements(user, now = new Date()) {
+  const events = [];
+
+  // Rewards can lift the hero into a level achievement, so keep checking
+  // until a pass unlocks nothing new
+  let unlockedThisPass = true;
+  while (unlockedThisPass) {
+    unlockedThisPass = false;
+
+    for (const achievement of ACHIEVEMENTS) {
+      if (user.achievements.some(entry => entry.achievementId === achievement.id)) continue;
+      if (achievement.measure(user) < achievement.target) continue;
+
+      user.achievements.push({ achievementId: achievement.id, unlockedAt: now });
+      user.gold += achievement.reward.gold;
+      const progression = grantXP(user, achievement.reward.xp, { source: 'achievement' });
+
+      const unlock = {
+        type: 'achievement',
+        id: achievement.id,
+        name: achievement.name,
+        icon: achievement.icon,
+        reward: achievement.reward
+      };
+      events.push(unlock, ...progression.events);
+      queueUserEvent(user, 'achievement_unlocked', unlock);
+      unlockedThisPass = true;
+    }
+  }
+
+  return events;
+}
+
+// Achievements with their locked/unlocked state and progress
+app.get("/achievements", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  // Catches up heroes whose progress predates a rule
+  if (evaluateAchievements(user).length > 0) {
+    await user.save();
+  }
+
+  const achievements = ACHIEVEMENTS.map(achievement => {
+    const unlocked = user.achievements.find(entry => entry.achievementId === achievement.id);
+    const current = Math.min(achievement.measure(user), achievement.target);
+
+    return {
+      id: achievement.id,
+      name: achievement.name,
+      description: achievement.description,
+      icon: achievement.icon,
+      category: achievement.category,
+      reward: achievement.reward,
+      status: unlocked ? 'unlocked' : 'locked',
+      unlockedAt: unlocked ? unlocked.unlockedAt : null,
+      progress: {
+        current: unlocked ? achievement.target : current,
+        target: achievement.target,
+        percent: unlocked ? 100 : Math.round((current / achievement.target) * 100)
+      }
+    };
+  });
+
+  res.json({
+    success: true,
+    achievements,
+    unlocked: user.achievements.length,
+    total: ACHIEVEMENTS.length
+  });
+}));
+
+// ====== FRIENDS & LEADERBOARDS ======
+const LEADERBOARD_LIMIT = { default: 20, max: 100 };
+
+// Each board ranks heroes by a score stored under `leaderboard`; `match`
+// leaves out scores that have lapsed. Every score is indexed, so a board
+// never scans everyone.
+const LEADERBOARDS = {
+  weekly_xp: {
+    name: "XP This Week",
+    unit: "XP",
+    match: now => ({ 'leaderboard.weekKey': getPeriodBounds('week', now, 'UTC').key }),
+    score: 'leaderboard.weeklyXP'
+  },
+  volume: {
+    name: "Total Workout Volume",
+    unit: "lbs",
+    match: () => ({}),
+    score: 'leaderboard.totalVolume'
+  },
+  battles_won: {
+    name: "Battles Won",
+    unit: "wins",
+    match: () => ({}),
+    score: 'leaderboard.battlesWon'
+  },
+  hydration_streak: {
+    name: "Hydration Streak",
+    unit: "days",
+    match: now => ({ 'leaderboard.hydrationStreakUntil': { $gt: now } }),
+    score: 'leaderboard.hydrationStreak'
+  }
+};
+
+/**
+ * Rank heroes on a leaderboard inside MongoDB.
+ *
+ * @param {object} board - Entry from LEADERBOARDS
+ * @param {object} scope - `{ ids }` to rank only those heroes, otherwise
+ *   every hero who shows up publicly
+ * @returns {Promise<{entries: object[], rankOf: function}>}
+ */
+async function queryLeaderboard(board, { ids = null, limit = LEADERBOARD_LIMIT.default, now = new Date() } = {}) {
+  const scopeMatch = ids ? { _id: { $in: ids } } : { 'privacy.showOnLeaderboards': { $ne: false } };
+  const scored = { ...scopeMatch, ...board.match(now), [board.score]: { $gt: 0 } };
+
+  const entries = await User.aggregate([
+    { $match: scored },
+    { $sort: { [board.score]: -1, level: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { heroName: 1, level: 1, score: `$${board.score}` } }
+  ]);
+
+  // A hero's rank is one more than the number of heroes strictly ahead
+  const rankOf = async score => {
+    if (!score) return null;
+    const ahead = await User.countDocuments({ ...scored, [board.score]: { $gt: score } });
+    return ahead + 1;
+  };
+
+  return {
+    entries: entries.map((entry, index) => ({
+      rank: index + 1,
+      userId: entry._id,
+      heroName: entry.heroName,
+      level: entry.level,
+      score: entry.score
+    })),
+    rankOf
+  };
+}
+
+// Heroes from before the volume and battle scores were stored get them
+// filled in once, from their history
+async function backfillLeaderboardScores() {
+  const heroes = User.find({ 'leaderboard.totalVolume': { $exists: false } }).select('workouts battles').cursor();
+  let filled = 0;
+  for await (const hero of heroes) {
+    await User.updateOne({ _id: hero._id, 'leaderboard.totalVolume': { $exists: false } }, {
+      $set: {
+        'leaderboard.totalVolume': hero.workouts.reduce((sum, workout) => sum + getWorkoutVolume(workout), 0),
+        'leaderboard.battlesWon': hero.battles.filter(battle => battle.victory).length
+      }
+    });
+    filled++;
+  }
+  if (filled > 0) console.log(`🏆 Filled in leaderboard scores for ${filled} heroes`);
+}
+
+// Score of one hero on a board, or 0 if theirs has lapsed
+async function getLeaderboardScore(board, userId, now = new Date()) {
+  const entry = await User.findOne({ _id: userId, ...board.match(now) }).select(board.score);
+  return entry ? entry.get(board.score) || 0 : 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Friends and pending requests
+app.get("/friends", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const ids = [...user.friends.map(friend => friend.user), ...user.friendRequests.map(request => request.user)];
+  const heroes = await User.find({ _id: { $in: ids } }).select('heroName level stats.strength stats.stamina stats.agility');
+  const describe = id => {
+    const hero = heroes.find(entry => entry._id.equals(id));
+    return hero
+      ? { userId: hero._id, heroName: hero.heroName, level: hero.level, stats: hero.stats }
+      : { userId: id, heroName: null };
+  };
+
+  res.json({
+    success: true,
+    friends: user.friends.map(friend => ({ ...describe(friend.user), since: friend.since })),
+    incoming: user.friendRequests.filter(request => request.direction === 'incoming')
+      .map(request => ({ ...describe(request.user), date: request.date })),
+    outgoing: user.friendRequests.filter(request => request.direction === 'outgoing')
+      .map(request => ({ ...describe(request.user), date: request.date }))
+  });
+}));
+
+// Make two heroes friends and clear any requests between them
+async function linkFriends(userId, otherId, now = new Date()) {
+  const link = (id, friendId) => User.updateOne(
+    { _id: id, 'friends.user': { $ne: friendId } },
+    { $push: { friends: { user: friendId, since: now } } }
+  );
+  const clearRequests = (id, friendId) => User.updateOne({ _id: id }, { $pull: { friendRequests: { user: friendId } } });
+
+  await Promise.all([link(userId, otherId), link(otherId, userId)]);
+  await Promise.all([clearRequests(userId, otherId), clearRequests(otherId, userId)]);
+}
+
+// Send friend request by hero name
+app.post("/friends/requests", authenticateToken, validate({
+  body: { heroName: field.string({ required: true, max: 30 }) }
+}), asyncHandler(async (req, res) => {
+  const { heroName } = req.body;
+  const user = await requireUser(req);
+
+  // Hero names aren't unique, so the name has to pick out exactly one hero
+  const matches = await User.find({ heroName: new RegExp(`^${escapeRegExp(heroName)}$`, 'i') })
+    .select('heroName privacy')
+    .limit(2);
+
+  if (matches.length === 0) {
+    return res.status(404).json({ success: false, message: "No hero with that name" });
+  }
+  if (matches.length > 1) {
+    return res.status(409).json({ success: false, message: "Several heroes share that name" });
+  }
+
+  const target = matches[0];
+  if (target._id.equals(user._id)) {
+    return res.status(400).json({ success: false, message: "You can't befriend yourself" });
+  }
+  if (user.friends.some(friend => friend.user.equals(target._id))) {
+    return res.status(409).json({ success: false, message: `${target.heroName} is already your friend` });
+  }
+
+  // They already asked us: accept instead of sending a second request
+  const theirRequest = user.friendRequests.find(request => request.direction === 'incoming' && request.user.equals(target._id));
+  if (theirRequest) {
+    await linkFriends(user._id, target._id);
+    return res.json({ success: true, message: `You and ${target.heroName} are now friends!`, status: 'accepted' });
+  }
+
+  if (user.friendRequests.some(request => request.direction === 'outgoing' && request.user.equals(target._id))) {
+    return res.status(409).json({ success: false, message: "Friend request already sent" });
+  }
+  if (target.privacy && target.privacy.allowFriendRequests === false) {
+    return res.status(403).json({ success: false, message: `${target.heroName} isn't accepting friend requests` });
+  }
+
+  const now = new Date();
+  await Promise.all([
+    User.updateOne(
+      { _id: user._id, 'friendRequests.user': { $ne: target._id } },
+      { $push: { friendRequests: { user: target._id, direction: 'outgoing', date: now } } }
+    ),
+    User.updateOne(
+      { _id: target._id, 'friendRequests.user': { $ne: user._id } },
+      { $push: { friendRequests: { user: user._id, direction: 'incoming', date: now } } }
+    )
+  ]);
+
+  res.json({ success: true, message: `Friend request sent to ${target.heroName}`, status: 'pending' });
+}));
+
+// Accept friend request
+app.post("/friends/requests/:userId/accept", authenticateToken, validate({
+  params: { userId: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const request = user.friendRequests.find(entry => entry.direction === 'incoming' && entry.user.equals(req.params.userId));
+  if (!request) {
+    return res.status(404).json({ success: false, message: "Friend request not found" });
+  }
+
+  await linkFriends(user._id, request.user);
+  res.json({ success: true, message: "Friend request accepted" });
+}));
+
+// Decline an incoming request, or cancel an outgoing one
+app.delete("/friends/requests/:userId", authenticateToken, validate({
+  params: { userId: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const request = user.friendRequests.find(entry => entry.user.equals(req.params.userId));
+  if (!request) {
+    return res.status(404).json({ success: false, message: "Friend request not found" });
+  }
+
+  await Promise.all([
+    User.updateOne({ _id: user._id }, { $pull: { friendRequests: { user: request.user } } }),
+    User.updateOne({ _id: request.user }, { $pull: { friendRequests: { user: user._id } } })
+  ]);
+
+  res.json({ success: true, message: request.direction === 'incoming' ? "Friend request declined" : "Friend request cancelled" });
+}));
+
+// Remove friend
+app.delete("/friends/:userId", authenticateToken, validate({
+  params: { userId: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const friend = user.friends.find(entry => entry.user.equals(req.params.userId));
+  if (!friend) {
+    return res.status(404).json({ success: false, message: "Friend not found" });
+  }
+
+  await Promise.all([
+    User.updateOne({ _id: user._id }, { $pull: { friends: { user: friend.user } } }),
+    User.updateOne({ _id: friend.user }, { $pull: { friends: { user: user._id } } })
+  ]);
+
+  res.json({ success: true, message: "Friend removed" });
+}));
+
+// Privacy settings
+app.put("/privacy", authenticateToken, validate({
+  body: {
+    showOnLeaderboards: field.boolean(),
+    allowFriendRequests: field.boolean()
+  }
+}), asyncHandler(async (req, res) => {
+  const update = {};
+  for (const [key, value] of Object.entries(req.body)) {
+    update[`privacy.${key}`] = value;
+  }
+
+  const user = await User.findOneAndUpdate({ email: req.user.email }, { $set: update }, { new: true });
+
+  if (!user) {
+    return res.status(404).json({ success: false, message: "User not found" });
+  }
+
+  res.json({ success: true, privacy: user.privacy });
+}));
+
+// Leaderboard: `scope` is global (public heroes) or friends (you and your friends)
+app.get("/leaderboards/:board", authenticateToken, validate({
+  query: {
+    scope: field.oneOf(['global', 'friends'], { default: 'global' }),
+    limit: field.integer({ min: 1, max: LEADERBOARD_LIMIT.max, default: LEADERBOARD_LIMIT.default })
+  }
+}), asyncHandler(async (req, res) => {
+  const board = LEADERBOARDS[req.params.board];
+  if (!board) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown leaderboard. Choose one of: ${Object.keys(LEADERBOARDS).join(', ')}`
+    });
+  }
+
+  const { scope, limit } = req.query;
+
+  const user = await User.findOne({ email: req.user.email }).select('heroName level friends privacy');
+
+  if (!user) {
+    return res.status(404).json({ success: false, message: "User not found" });
+  }
+
+  const ids = scope === 'friends' ? [user._id, ...user.friends.map(friend => friend.user)] : null;
+  const { entries, rankOf } = await queryLeaderboard(board, { ids, limit });
+
+  // Heroes hidden from global boards still see where they would rank
+  const score = await getLeaderboardScore(board, user._id);
+  const rank = await rankOf(score);
+
+  res.json({
+    success: true,
+    board: req.params.board,
+    name: board.name,
+    unit: board.unit,
+    scope,
+    entries,
+    you: { heroName: user.heroName, score, rank, public: user.privacy.showOnLeaderboards !== false }
+  });
+}));
+
+// ====== GUILDS & RAIDS ======
+// Raid bosses are oversized versions of the regular enemies. HP and the
+// reward pool scale with how many members the guild has when the raid starts.
+const RAID_BOSSES = [
+  {
+    id: "lazy_dragon_raid",
+    enemy: "The Lazy Dragon",
+    name: "The Lazy Dragon, Awakened",
+    baseHP: 1500,
+    hpPerMember: 600,
+    durationHours: 48,
+    rewardPerMember: { xp: 150, gold: 75 }
+  },
+  {
+    id: "golem_raid",
+    enemy: "Procrastination Golem",
+    name: "Colossal Procrastination Golem",
+    baseHP: 3000,
+    hpPerMember: 1200,
+    durationHours: 72,
+    rewardPerMember: { xp: 300, gold: 150 }
+  },
+  {
+    id: "couch_titan",
+    enemy: null,
+    name: "The Couch Titan",
+    description: "A mountain of cushions that swallows whole weekends.",
+    baseHP: 6000,
+    hpPerMember: 2500,
+    durationHours: 168,
+    rewardPerMember: { xp: 600, gold: 300 }
+  }
+];
+
+const GUILD_ROLES = ['leader', 'officer', 'member'];
+
+function generateInviteCode() {
+  return randomBytes(4).toString('hex').toUpperCase();
+}
+
+function getGuildMember(guild, userId) {
+  return guild.members.find(member => member.user.equals(userId));
+}
+
+// Leaders and officers run the guild; only the leader changes roles
+function canManageGuild(member) {
+  return member && (member.role === 'leader' || member.role === 'officer');
+}
+
+// Damage a workout deals to a raid boss: its XP, boosted by the stat the
+// exercise trains
+function calculateRaidDamage(user, exercise, sets) {
+  const stats = getEffectiveStats(user);
+  return Math.round(calculateExerciseXP(exercise, sets) * (1 + (stats[exercise.stat] || 0) / 20));
+}
+
+// Release the guild's raid lock once its raid is over
+async function releaseRaidLock(raid) {
+  await Guild.updateOne({ _id: raid.guild, activeRaid: raid._id }, { $set: { activeRaid: null } });
+}
+
+// Split the reward pool by share of damage dealt. Only the request that moved
+// the raid to `defeated` gets here, and no more damage can land after that.
+async function distributeRaidRewards(raid) {
+  const totalDamage = raid.contributions.reduce((sum, entry) => sum + entry.damage, 0);
+  const contributions = raid.contributions.map(entry => {
+    const share = totalDamage > 0 ? entry.damage / totalDamage : 0;
+    return {
+      ...entry.toObject(),
+      reward: { xp: Math.round(raid.rewardPool.xp * share), gold: Math.round(raid.rewardPool.gold * share) }
+    };
+  });
+
+  await Raid.updateOne({ _id: raid._id }, { $set: { contributions, rewardsReady: true } });
+  await releaseRaidLock(raid);
+}
+
+// A raid whose window closed with the boss still standing has failed
+async function settleExpiredRaid(raid, now = new Date()) {
+  if (!raid || raid.status !== 'active' || raid.endsAt > now) return raid;
+
+  const failed = await Raid.findOneAndUpdate(
+    { _id: raid._id, status: 'active' },
+    { $set: { status: 'failed', endedAt: raid.endsAt } },
+    { new: true }
+  );
+  await releaseRaidLock(raid);
+  return failed || Raid.findById(raid._id);
+}
+
+/**
+ * Hit the hero's active guild raid. Runs after the workout is saved; the
+ * boss's HP and the hero's contribution change in one atomic update.
+ *
+ * @returns {Promise<{raidId: object, damage: number, hp: number, maxHP: number, defeated: boolean}|null>}
+ *   null when the hero has no raid to hit
+ */
+async function applyRaidDamage(user, damage, now = new Date()) {
+  if (!user.guild || damage <= 0) return null;
+
+  const guild = await Guild.findById(user.guild).select('activeRaid');
+  if (!guild || !guild.activeRaid) return null;
+
+  const open = { _id: guild.activeRaid, status: 'active', endsAt: { $gt: now } };
+  const hitExisting = () => Raid.findOneAndUpdate(
+    { ...open, 'contributions.user': user._id },
+    { $inc: { hp: -damage, 'contributions.$.damage': damage, 'contributions.$.hits': 1 } },
+    { new: true }
+  );
+
+  // First hit adds the hero's contribution entry; if another request added
+  // it in the meantime, fall back to incrementing it
+  let raid = await hitExisting();
+  if (!raid) {
+    raid = await Raid.findOneAndUpdate(
+      { ...open, 'contributions.user': { $ne: user._id } },
+      {
+        $inc: { hp: -damage },
+        $push: { contributions: { user: user._id, heroName: user.heroName, damage, hits: 1 } }
+      },
+      { new: true }
+    ) || await hitExisting();
+  }
+  if (!raid) return null;
+
+  let defeated = false;
+  if (raid.hp <= 0) {
+    const finished = await Raid.findOneAndUpdate(
+      { _id: raid._id, status: 'active' },
+      { $set: { status: 'defeated', endedAt: now } },
+      { new: true }
+    );
+    if (finished) {
+      await distributeRaidRewards(finished);
+    }
+    defeated = true;
+  }
+
+  const members = await Guild.findById(raid.guild).select('members.user');
+  (members ? members.members : []).forEach(member => publishEvent(member.user, 'raid_progress', {
+    raidId: raid._id,
+    name: raid.name,
+    hp: Math.max(raid.hp, 0),
+    maxHP: raid.maxHP,
+    defeated,
+    hitBy: user.heroName,
+    damage
+  }));
+
+  return { raidId: raid._id, damage, hp: Math.max(raid.hp, 0), maxHP: raid.maxHP, defeated };
+}
+
+function describeRaid(raid, now = new Date()) {
+  const totalDamage = raid.contributions.reduce((sum, entry) => sum + entry.damage, 0);
+  return {
+    id: raid._id,
+    bossId: raid.bossId,
+    name: raid.name,
+    status: raid.status,
+    hp: Math.max(raid.hp, 0),
+    maxHP: raid.maxHP,
+    percentRemaining: Math.round((Math.max(raid.hp, 0) / raid.maxHP) * 1000) / 10,
+    startsAt: raid.startsAt,
+    endsAt: raid.endsAt,
+    endedAt: raid.endedAt || null,
+    timeLeftMinutes: raid.status === 'active' ? Math.max(Math.ceil((raid.endsAt - now) / 60000), 0) : 0,
+    participants: raid.contributions.length,
+    totalDamage,
+    rewardPool: raid.rewardPool,
+    rewardsReady: raid.rewardsReady
+  };
+}
+
+// The hero's guild and the guild document, or an error response
+async function loadGuildContext(req, res) {
+  const user = await User.findOne({ email: req.user.email });
+  if (!user) {
+    res.status(404).json({ success: false, message: "User not found" });
+    return null;
+  }
+
+  const guild = user.guild && await Guild.findById(user.guild);
+  if (!guild) {
+    res.status(404).json({ success: false, message: "You are not in a guild" });
+    return null;
+  }
+
+  return { user, guild, member: getGuildMember(guild, user._id) };
+}
+
+/**
+ * Take a hero out of their guild. A leaving leader hands over to an officer
+ * (or the longest-standing member); the last one out disbands the guild.
+ *
+ * @returns {Promise<boolean>} true if the guild was disbanded
+ */
+async function removeGuildMember(guild, userId) {
+  const member = getGuildMember(guild, userId);
+  const remaining = guild.members.filter(entry => !entry.user.equals(userId));
+
+  if (remaining.length === 0) {
+    await Guild.deleteOne({ _id: guild._id });
+  } else {
+    await Guild.updateOne({ _id: guild._id }, { $pull: { members: { user: userId } } });
+
+    if (member && member.role === 'leader') {
+      const successor = remaining.find(entry => entry.role === 'officer') || remaining[0];
+      await Guild.updateOne(
+        { _id: guild._id, 'members.user': successor.user },
+        { $set: { 'members.$.role': 'leader' } }
+      );
+    }
+  }
+
+  await User.updateOne({ _id: userId }, { $set: { guild: null } });
+  return remaining.length === 0;
+}
+
+// Create guild
+app.post("/guilds", authenticateToken, validate({
+  body: {
+    name: field.string({ required: true, min: 3, max: 30 }),
+    description: field.string({ max: 200 })
+  }
+}), asyncHandler(async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const user = await requireUser(req);
+    if (user.guild) {
+      return res.status(409).json({ success: false, message: "Leave your current guild first" });
+    }
+
+    const guild = new Guild({
+      name,
+      description,
+      inviteCode: generateInviteCode(),
+      members: [{ user: user._id, role: 'leader' }]
+    });
+
+    // Claim the hero's guild slot first so they can't end up in two guilds
+    const claimed = await User.updateOne({ _id: user._id, guild: null }, { $set: { guild: guild._id } });
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ success: false, message: "Leave your current guild first" });
+    }
+
+    try {
+      await guild.save();
+    } catch (err) {
+      await User.updateOne({ _id: user._id, guild: guild._id }, { $set: { guild: null } });
+      throw err;
+    }
+
+    res.json({ success: true, message: `Guild ${guild.name} founded!`, guild });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, message: "A guild with that name already exists" });
+    }
+    next(err);
+  }
+}));
+
+// My guild
+app.get("/guilds/me", authenticateToken, asyncHandler(async (req, res) => {
+  const context = await loadGuildContext(req, res);
+  if (!context) return;
+  const { guild, member } = context;
+
+  const heroes = await User.find({ _id: { $in: guild.members.map(entry => entry.user) } }).select('heroName level');
+  const members = guild.members.map(entry => {
+    const hero = heroes.find(h => h._id.equals(entry.user));
+    return {
+      userId: entry.user,
+      heroName: hero ? hero.heroName : null,
+      level: hero ? hero.level : null,
+      role: entry.role,
+      joinedAt: entry.joinedAt
+    };
+  });
+
+  const raid = await settleExpiredRaid(guild.activeRaid && await Raid.findById(guild.activeRaid));
+
+  res.json({
+    success: true,
+    guild: {
+      id: guild._id,
+      name: guild.name,
+      description: guild.description,
+      // Only people who can invite see the code
+      inviteCode: canManageGuild(member) ? guild.inviteCode : undefined,
+      maxMembers: guild.maxMembers,
+      members,
+      yourRole: member.role,
+      activeRaid: raid && raid.status === 'active' ? describeRaid(raid) : null
+    },
+    raidBosses: RAID_BOSSES.map(({ id, name, enemy, description, durationHours }) => ({
+      id,
+      name,
+      description: description || (ENEMIES.find(entry => entry.name === enemy) || {}).description,
+      durationHours
+    }))
+  });
+}));
+
+// Join guild by invite code
+app.post("/guilds/join", authenticateToken, validate({
+  body: { inviteCode: field.string({ required: true, max: 20 }) }
+}), asyncHandler(async (req, res) => {
+  const { inviteCode } = req.body;
+
+  const user = await requireUser(req);
+
+  const guild = await Guild.findOne({ inviteCode: inviteCode.toUpperCase() });
+  if (!guild) {
+    return res.status(404).json({ success: false, message: "Invalid invite code" });
+  }
+
+  const claimed = await User.updateOne({ _id: user._id, guild: null }, { $set: { guild: guild._id } });
+  if (claimed.modifiedCount === 0) {
+    return res.status(409).json({ success: false, message: "Leave your current guild first" });
+  }
+
+  // The size check and the push happen together so a full guild can't overflow
+  const joined = await Guild.findOneAndUpdate(
+    {
+      _id: guild._id,
+      'members.user': { $ne: user._id },
+      $expr: { $lt: [{ $size: '$members' }, '$maxMembers'] }
+    },
+    { $push: { members: { user: user._id, role: 'member', joinedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (!joined) {
+    await User.updateOne({ _id: user._id, guild: guild._id }, { $set: { guild: null } });
+    return res.status(409).json({ success: false, message: "This guild is full" });
+  }
+
+  res.json({ success: true, message: `Welcome to ${joined.name}!`, guildId: joined._id });
+}));
+
+// Leave guild. A departing leader hands over to the longest-serving officer
+// (or member); the last member out disbands the guild.
+app.post("/guilds/leave", authenticateToken, asyncHandler(async (req, res) => {
+  const context = await loadGuildContext(req, res);
+  if (!context) return;
+  const { user, guild } = context;
+
+  const disbanded = await removeGuildMember(guild, user._id);
+  res.json({ success: true, message: disbanded ? "Guild disbanded" : `You left ${guild.name}` });
+}));
+
+// New invite code; the old one stops working
+app.post("/guilds/invite-code", authenticateToken, asyncHandler(async (req, res) => {
+  const context = await loadGuildContext(req, res);
+  if (!context) return;
+  const { guild, member } = context;
+
+  if (!canManageGuild(member)) {
+    return res.status(403).json({ success: false, message: "Only leaders and officers can manage invites" });
+  }
+
+  const inviteCode = generateInviteCode();
+  await Guild.updateOne({ _id: guild._id }, { $set: { inviteCode } });
+
+  res.json({ success: true, inviteCode });
+}));
+
+// Change a member's role. Making someone leader hands leadership over.
+app.patch("/guilds/members/:userId", authenticateToken, validate({
+  params: { userId: field.objectId({ required: true }) },
+  body: { role: field.oneOf(GUILD_ROLES, { required: true }) }
+}), asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  const context = await loadGuildContext(req, res);
+  if (!context) return;
+  const { user, guild, member } = context;
+
+  if (!member || member.role !== 'leader') {
+    return res.status(403).json({ success: false, message: "Only the guild leader can change roles" });
+  }
+
+  const target = getGuildMember(guild, req.params.userId);
+  if (!target || target.user.equals(user._id)) {
+    return res.status(404).json({ success: false, message: "Member not found" });
+  }
+
+  await Guild.updateOne(
+    { _id: guild._id, 'members.user': target.user },
+    { $set: { 'members.$.role': role } }
+  );
+  if (role === 'leader') {
+    await Guild.updateOne(
+      { _id: guild._id, 'members.user': user._id },
+      { $set: { 'members.$.role': 'officer' } }
+    );
+  }
+
+  res.json({ success: true, message: role === 'leader' ? "Leadership transferred" : `Role changed to ${role}` });
+}));
+
+// Remove a member. Officers can only remove regular members.
+app.delete("/guilds/members/:userId", authenticateToken, validate({
+  params: { userId: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const context = await loadGuildContext(req, res);
+  if (!context) return;
+  const { user, guild, member } = context;
+
+  const target = getGuildMember(guild, req.params.userId);
+  if (!target || target.user.equals(user._id)) {
+    return res.status(404).json({ success: false, message: "Member not found" });
+  }
+
+  const outranks = member && (member.role === 'leader' || (member.role === 'officer' && target.role === 'member'));
+  if (!outranks) {
+    return res.status(403).json({ success: false, message: "You can't remove this member" });
+  }
+
+  await Guild.updateOne({ _id: guild._id }, { $pull: { members: { user: target.user } } });
+  await User.updateOne({ _id: target.user, guild: guild._id }, { $set: { guild: null } });
+
+  res.json({ success: true, message: "Member removed" });
+}));
+
+// Start a raid (leaders and officers)
+app.post("/guilds/raid/start", authenticateToken, validate({
+  body: { bossId: field.string({ required: true, max: 60 }) }
+}), asyncHandler(async (req, res) => {
+  const boss = RAID_BOSSES.find(entry => entry.id === req.body.bossId);
+  if (!boss) {
+    return res.status(404).json({ success: false, message: "Raid boss not found" });
+  }
+
+  const context = await loadGuildContext(req, res);
+  if (!context) return;
+  const { user, guild, member } = context;
+
+  if (!canManageGuild(member)) {
+    return res.status(403).json({ success: false, message: "Only leaders and officers can start raids" });
+  }
+
+  await settleExpiredRaid(guild.activeRaid && await Raid.findById(guild.activeRaid));
+
+  const now = new Date();
+  const memberCount = guild.members.length;
+  const maxHP = boss.baseHP + boss.hpPerMember * memberCount;
+  const raid = new Raid({
+    guild: guild._id,
+    bossId: boss.id,
+    name: boss.name,
+    maxHP,
+    hp: maxHP,
+    startedBy: user._id,
+    startsAt: now,
+    endsAt: new Date(now.getTime() + boss.durationHours * 60 * 60 * 1000),
+    rewardPool: { xp: boss.rewardPerMember.xp * memberCount, gold: boss.rewardPerMember.gold * memberCount }
+  });
+
+  const locked = await Guild.updateOne({ _id: guild._id, activeRaid: null }, { $set: { activeRaid: raid._id } });
+  if (locked.modifiedCount === 0) {
+    return res.status(409).json({ success: false, message: "Your guild already has a raid in progress" });
+  }
+
+  await raid.save();
+  res.json({ success: true, message: `${boss.name} appears! Log workouts to deal damage.`, raid: describeRaid(raid) });
+}));
+
+// Progress of the current raid, or the most recent one
+app.get("/guilds/raid", authenticateToken, asyncHandler(async (req, res) => {
+  const context = await loadGuildContext(req, res);
+  if (!context) return;
+  const { user, guild } = context;
+
+  const latest = await Raid.findOne({ guild: guild._id }).sort({ startsAt: -1 });
+  const raid = await settleExpiredRaid(latest);
+
+  if (!raid) {
+    return res.json({ success: true, raid: null });
+  }
+
+  const yours = raid.contributions.find(entry => entry.user.equals(user._id));
+  res.json({
+    success: true,
+    raid: describeRaid(raid),
+    yourContribution: yours ? { damage: yours.damage, hits: yours.hits, reward: yours.reward, claimed: yours.claimed } : null
+  });
+}));
+
+// Contribution breakdown for a raid
+app.get("/guilds/raids/:raidId/contributions", authenticateToken, validate({
+  params: { raidId: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const context = await loadGuildContext(req, res);
+  if (!context) return;
+  const { guild } = context;
+
+  const raid = await settleExpiredRaid(await Raid.findOne({ _id: req.params.raidId, guild: guild._id }));
+  if (!raid) {
+    return res.status(404).json({ success: false, message: "Raid not found" });
+  }
+
+  const summary = describeRaid(raid);
+  const contributions = raid.contributions
+    .map(entry => ({
+      userId: entry.user,
+      heroName: entry.heroName,
+      damage: entry.damage,
+      hits: entry.hits,
+      sharePercent: summary.totalDamage > 0 ? Math.round((entry.damage / summary.totalDamage) * 1000) / 10 : 0,
+      reward: entry.reward && entry.reward.xp != null ? entry.reward : null,
+      claimed: entry.claimed
+    }))
+    .sort((a, b) => b.damage - a.damage);
+
+  res.json({ success: true, raid: summary, contributions });
+}));
+
+// Claim your share of a defeated raid's rewards
+app.post("/guilds/raids/:raidId/claim", authenticateToken, validate({
+  params: { raidId: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  // Flipping `claimed` in the same update that finds the reward means a
+  // reward can only be paid once
+  const raid = await Raid.findOneAndUpdate(
+    {
+      _id: req.params.raidId,
+      status: 'defeated',
+      rewardsReady: true,
+      contributions: { $elemMatch: { user: user._id, claimed: false } }
+    },
+    { $set: { 'contributions.$.claimed': true } }
+  );
+
+  if (!raid) {
+    return res.status(409).json({ success: false, message: "No unclaimed raid reward" });
+  }
+
+  const { reward } = raid.contributions.find(entry => entry.user.equals(user._id));
+  user.gold += reward.gold;
+  const progression = grantXP(user, reward.xp, { source: 'raid' });
+  await user.save();
+
+  res.json({
+    success: true,
+    message: `Raid reward: +${reward.xp} XP, +${reward.gold} Gold`,
+    reward,
+    leveledUp: progression.leveledUp,
+    newLevel: progression.leveledUp ? progression.newLevel : null,
+    levelUps: progression.events
+  });
+}));
+
+// ====== PVP DUELS ======
+// Each hero attacks by logging workouts during the duel window. Attacks are
+// capped in size, count and frequency so one huge or spammed log can't
+// decide a duel.
+const DUEL_RULES = {
+  respondHours: 24,
+  durationHours: 48,
+  baseHP: 100,
+  hpPerLevel: 10,
+  maxWager: 500,
+  maxOpenDuels: 3,
+  maxAttackReps: 50,
+  maxAttackWeight: 300,
+  maxStrikeDamage: 60,
+  maxAttacksPerDuel: 12,
+  attackCooldownMinutes: 30,
+  eloK: 32
+};
+
+function getDuelSide(duel, userId) {
+  if (duel.challenger.user.equals(userId)) return 'challenger';
+  if (duel.opponent.user.equals(userId)) return 'opponent';
+  return null;
+}
+
+function otherDuelSide(side) {
+  return side === 'challenger' ? 'opponent' : 'challenger';
+}
+
+/**
+ * One duel attack: a strike, and possibly a follow-up, using the same crit,
+ * dodge and damage reduction rules as /battle/attack.
+ *
+ * @returns {{turns: object[], damage: number}}
+ */
+function resolveDuelStrike({ attackerStats, defenderStats, attack, random = Math.random }) {
+  const attacker = getCombatChances(attackerStats);
+  const defender = getCombatChances(defenderStats);
+  const cappedAttack = {
+    reps: Math.min(attack.reps || 0, DUEL_RULES.maxAttackReps),
+    weight: Math.min(attack.weight || 0, DUEL_RULES.maxAttackWeight)
+  };
+  const baseDamage = Math.min(getStrikeDamage(attackerStats, cappedAttack), DUEL_RULES.maxStrikeDamage);
+  const turns = [];
+
+  const strike = (action, multiplier) => {
+    if (random() < defender.dodgeChance) {
+      turns.push({ action, damage: 0, critical: false, dodged: true });
+      return;
+    }
+    const critical = random() < attacker.critChance;
+    const damage = Math.max(1, Math.round(
+      baseDamage * multiplier * (critical ? COMBAT_RULES.critMultiplier : 1) * (1 - defender.damageReduction)
+    ));
+    turns.push({ action, damage, critical, dodged: false });
+  };
+
+  strike('Strike', 1);
+  if (random() < attacker.extraTurnChance) {
+    strike('Follow-up', COMBAT_RULES.followUpMultiplier);
+  }
+
+  return { turns, damage: turns.reduce((sum, turn) => sum + turn.damage, 0) };
+}
+
+// Elo change for `rating` after scoring `score` (1 win, 0.5 draw, 0 loss)
+function getEloChange(rating, opponentRating, score) {
+  const expected = 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  return Math.round(DUEL_RULES.eloK * (score - expected));
+}
+
+// Give the challenger's escrowed wager back
+async function refundDuelWager(duel) {
+  if (duel.wager > 0) {
+    await User.updateOne({ _id: duel.challenger.user }, { $inc: { gold: duel.wager } });
+  }
+}
+
+/**
+ * Settle a duel whose time is up: expire unanswered challenges, and finish
+ * active duels that ended in a KO or ran out of time. Only the request that
+ * flips the status pays out, so settling twice is harmless.
+ *
+ * @returns {Promise<object>} the duel as it now stands
+ */
+async function resolveDuelIfDue(duel, now = new Date()) {
+  if (duel.status === 'pending' && duel.respondBy <= now) {
+    const expired = await Duel.findOneAndUpdate({ _id: duel._id, status: 'pending' }, { $set: { status: 'expired' } }, { new: true });
+    if (expired) await refundDuelWager(expired);
+    return expired || Duel.findById(duel._id);
+  }
+
+  const knockedOut = duel.challenger.hp <= 0 || duel.opponent.hp <= 0;
+  if (duel.status !== 'active' || (!knockedOut && duel.endsAt > now)) return duel;
+
+  const { challenger, opponent } = duel;
+  let winner = null;
+  let outcome;
+  if (knockedOut) {
+    outcome = 'ko';
+    if (opponent.hp <= 0 && challenger.hp > 0) winner = 'challenger';
+    else if (challenger.hp <= 0 && opponent.hp > 0) winner = 'opponent';
+    else winner = challenger.damageDealt >= opponent.damageDealt ? 'challenger' : 'opponent';
+  } else if (challenger.attacks === 0 || opponent.attacks === 0) {
+    // Whoever never showed up loses; if nobody did, it's a draw
+    outcome = challenger.attacks === opponent.attacks ? 'draw' : 'forfeit';
+    if (outcome === 'forfeit') winner = challenger.attacks > 0 ? 'challenger' : 'opponent';
+  } else {
+    outcome = challenger.damageDealt === opponent.damageDealt ? 'draw' : 'timeout';
+    if (outcome === 'timeout') winner = challenger.damageDealt > opponent.damageDealt ? 'challenger' : 'opponent';
+  }
+
+  const finished = await Duel.findOneAndUpdate(
+    { _id: duel._id, status: 'active' },
+    { $set: { status: 'completed', outcome, winner: winner ? duel[winner].user : null, completedAt: now } },
+    { new: true }
+  );
+  if (!finished) return Duel.findById(duel._id);
+
+  const heroes = await User.find({ _id: { $in: [challenger.user, opponent.user] } }).select('pvp');
+  const ratingOf = id => {
+    const hero = heroes.find(entry => entry._id.equals(id));
+    return hero ? hero.pvp.rating : 1000;
+  };
+
+  const settleSide = async side => {
+    const me = finished[side];
+    const them = finished[otherDuelSide(side)];
+    const result = !winner ? 'draw' : winner === side ? 'win' : 'loss';
+    const score = { win: 1, draw: 0.5, loss: 0 }[result];
+    const ratingChange = getEloChange(ratingOf(me.user), ratingOf(them.user), score);
+    const payout = result === 'win' ? finished.wager * 2 : result === 'draw' ? finished.wager : 0;
+    const counter = { win: 'pvp.wins', loss: 'pvp.losses', draw: 'pvp.draws' }[result];
+
+    await User.updateOne({ _id: me.user }, {
+      $inc: { gold: payout, 'pvp.rating': ratingChange, [counter]: 1 },
+      $push: {
+        duelHistory: {
+          duel: finished._id,
+          opponent: them.user,
+          opponentName: them.heroName,
+          result,
+          outcome,
+          goldChange: payout - finished.wager,
+          ratingChange,
+          date: now
+        }
+      }
+    });
+    return { [`${side}.ratingBefore`]: ratingOf(me.user), [`${side}.ratingChange`]: ratingChange };
+  };
+
+  const ratings = await Promise.all([settleSide('challenger'), settleSide('opponent')]);
+  return Duel.findByIdAndUpdate(finished._id, { $set: Object.assign({}, ...ratings) }, { new: true });
+}
+
+// Settle every overdue duel of these heroes, so a challenge nobody opens
+// again still expires (and refunds) once either side does anything with duels
+async function resolveDueDuels(userIds, now = new Date()) {
+  const due = await Duel.find({
+    $and: [
+      { $or: [{ 'challenger.user': { $in: userIds } }, { 'opponent.user': { $in: userIds } }] },
+      { $or: [{ status: 'pending', respondBy: { $lte: now } }, { status: 'active', endsAt: { $lte: now } }] }
+    ]
+  }).select('-log');
+  for (const duel of due) {
+    await resolveDuelIfDue(duel, now);
+  }
+}
+
+// Pending and active duels the hero is in
+function countOpenDuels(userId) {
+  return Duel.countDocuments({
+    status: { $in: ['pending', 'active'] },
+    $or: [{ 'challenger.user': userId }, { 'opponent.user': userId }]
+  });
+}
+
+/**
+ * Use a freshly logged workout as an attack in each of the hero's active
+ * duels. Runs after the workout is saved; each attack is a single atomic
+ * update guarded by the duel window, attack cap and cooldown.
+ *
+ * @param {object} user - the attacking hero
+ * @param {{workoutId: object, reps: number, weight: number}} attack
+ * @returns {Promise<object[]>} one summary per duel hit
+ */
+async function applyDuelAttacks(user, attack, now = new Date()) {
+  await resolveDueDuels([user._id], now);
+  const duels = await Duel.find({
+    status: 'active',
+    endsAt: { $gt: now },
+    $or: [{ 'challenger.user': user._id }, { 'opponent.user': user._id }]
+  });
+  const results = [];
+  const cooldownStart = new Date(now.getTime() - DUEL_RULES.attackCooldownMinutes * 60 * 1000);
+
+  for (const duel of duels) {
+    const side = getDuelSide(duel, user._id);
+    const target = otherDuelSide(side);
+    const defender = await User.findById(duel[target].user).select('stats activeBuffs');
+    if (!defender) continue;
+
+    const random = createSeededRandom(`${duel.seed}:${side}:${duel[side].attacks}`);
+    const { turns, damage } = resolveDuelStrike({
+      attackerStats: getEffectiveStats(user, now),
+      defenderStats: getEffectiveStats(defender, now),
+      attack,
+      random
+    });
+    const log = turns.map(turn => ({
+      attacker: user._id,
+      heroName: user.heroName,
+      workoutId: attack.workoutId,
+      ...turn,
+      message: turn.dodged
+        ? `${duel[target].heroName} dodged ${user.heroName}'s ${turn.action}!`
+        : `${turn.critical ? 'Critical hit! ' : ''}${user.heroName}'s ${turn.action} dealt ${turn.damage} damage!`,
+      date: now
+    }));
+
+    const updated = await Duel.findOneAndUpdate(
+      {
+        _id: duel._id,
+        status: 'active',
+        endsAt: { $gt: now },
+        [`${side}.attacks`]: { $lt: DUEL_RULES.maxAttacksPerDuel },
+        $or: [{ [`${side}.lastAttackAt`]: null }, { [`${side}.lastAttackAt`]: { $lte: cooldownStart } }]
+      },
+      {
+        $inc: { [`${target}.hp`]: -damage, [`${side}.damageDealt`]: damage, [`${side}.attacks`]: 1 },
+        $set: { [`${side}.lastAttackAt`]: now },
+        $push: { log: { $each: log } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      results.push({ duelId: duel._id, opponent: duel[target].heroName, damage: 0, skipped: true });
+      continue;
+    }
+
+    const settled = await resolveDuelIfDue(updated, now);
+    [settled.challenger.user, settled.opponent.user].forEach(id => publishEvent(id, 'duel_update', {
+      duelId: settled._id,
+      status: settled.status,
+      attacker: user.heroName,
+      damage,
+      challengerHP: Math.max(settled.challenger.hp, 0),
+      opponentHP: Math.max(settled.opponent.hp, 0)
+    }));
+    results.push({
+      duelId: duel._id,
+      opponent: duel[target].heroName,
+      damage,
+      opponentHP: Math.max(settled[target].hp, 0),
+      status: settled.status,
+      won: settled.status === 'completed' ? (settled.winner ? settled.winner.equals(user._id) : null) : undefined
+    });
+  }
+
+  return results;
+}
+
+function describeDuel(duel, userId) {
+  const side = getDuelSide(duel, userId);
+  const describeSide = entry => ({
+    userId: entry.user,
+    heroName: entry.heroName,
+    level: entry.level,
+    hp: Math.max(entry.hp, 0),
+    maxHP: entry.maxHP,
+    damageDealt: entry.damageDealt,
+    attacks: entry.attacks,
+    ratingChange: entry.ratingChange
   });
-});
 
-// Profile
-app.get("/profile", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.user.email });
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+  return {
+    id: duel._id,
+    status: duel.status,
+    outcome: duel.outcome,
+    wager: duel.wager,
+    you: side,
+    challenger: describeSide(duel.challenger),
+    opponent: describeSide(duel.opponent),
+    winner: duel.winner,
+    won: duel.status === 'completed' ? (duel.winner ? duel.winner.equals(userId) : null) : undefined,
+    respondBy: duel.respondBy,
+    startedAt: duel.startedAt,
+    endsAt: duel.endsAt,
+    completedAt: duel.completedAt
+  };
+}
+
+// Challenge a friend
+app.post("/duels", authenticateToken, validate({
+  body: {
+    opponentId: field.objectId({ required: true }),
+    wager: field.integer({ min: 0, max: DUEL_RULES.maxWager, default: 0 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { opponentId, wager } = req.body;
+  const user = await requireUser(req);
+
+  const friend = user.friends.find(entry => entry.user.equals(opponentId));
+  if (!friend) {
+    return res.status(400).json({ success: false, message: "You can only challenge your friends" });
+  }
+
+  const opponent = await User.findById(friend.user).select('heroName level pvp');
+  if (!opponent) {
+    return res.status(404).json({ success: false, message: "Opponent not found" });
+  }
+
+  await resolveDueDuels([user._id, opponent._id]);
+  if (await countOpenDuels(user._id) >= DUEL_RULES.maxOpenDuels) {
+    return res.status(409).json({ success: false, message: `You can have at most ${DUEL_RULES.maxOpenDuels} open duels` });
+  }
+  if (await countOpenDuels(opponent._id) >= DUEL_RULES.maxOpenDuels) {
+    return res.status(409).json({ success: false, message: `${opponent.heroName} already has ${DUEL_RULES.maxOpenDuels} open duels` });
+  }
+
+  // The wager leaves the challenger's gold now and is held by the duel
+  if (wager > 0) {
+    const escrowed = await User.updateOne({ _id: user._id, gold: { $gte: wager } }, { $inc: { gold: -wager } });
+    if (escrowed.modifiedCount === 0) {
+      return res.status(400).json({ success: false, message: "Not enough gold for that wager" });
     }
-    
-    const userData = { ...user._doc };
-    delete userData.password;
-    
-    res.json(userData);
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
   }
-});
 
-// Log water
-app.post("/log-water", authenticateToken, async (req, res) => {
-  try {
-    const { cups } = req.body;
-    const today = new Date().toISOString().split('T')[0];
-    
-    const user = await User.findOne({ email: req.user.email });
-    
-    const todayEntry = user.waterIntake.find(entry => entry.date === today);
-    
-    if (todayEntry) {
-      todayEntry.cups += cups;
-    } else {
-      user.waterIntake.push({ date: today, cups });
+  const now = new Date();
+  const side = hero => ({
+    user: hero._id,
+    heroName: hero.heroName,
+    level: hero.level,
+    maxHP: DUEL_RULES.baseHP + DUEL_RULES.hpPerLevel * (hero.level - 1),
+    hp: DUEL_RULES.baseHP + DUEL_RULES.hpPerLevel * (hero.level - 1)
+  });
+  const duel = await Duel.create({
+    challenger: side(user),
+    opponent: side(opponent),
+    wager,
+    seed: Math.random().toString(36).slice(2),
+    respondBy: new Date(now.getTime() + DUEL_RULES.respondHours * 60 * 60 * 1000)
+  });
+
+  res.json({ success: true, message: `You challenged ${opponent.heroName} to a duel!`, duel: describeDuel(duel, user._id) });
+}));
+
+// My duels
+app.get("/duels", authenticateToken, validate({
+  query: { limit: field.integer({ min: 1, max: 100, default: 20 }) }
+}), asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.user.email }).select('pvp');
+
+  if (!user) {
+    return res.status(404).json({ success: false, message: "User not found" });
+  }
+
+  await resolveDueDuels([user._id]);
+  const duels = await Duel.find({ $or: [{ 'challenger.user': user._id }, { 'opponent.user': user._id }] })
+    .select('-log')
+    .sort({ createdAt: -1 })
+    .limit(req.query.limit);
+
+  res.json({ success: true, pvp: user.pvp, duels: duels.map(duel => describeDuel(duel, user._id)) });
+}));
+
+// One duel, with its attack log
+app.get("/duels/:id", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.user.email }).select('_id');
+  const duel = await Duel.findById(req.params.id);
+
+  if (!user || !duel || !getDuelSide(duel, user._id)) {
+    return res.status(404).json({ success: false, message: "Duel not found" });
+  }
+
+  await resolveDueDuels([duel.challenger.user, duel.opponent.user]);
+  const current = await Duel.findById(duel._id);
+  res.json({ success: true, duel: { ...describeDuel(current, user._id), log: current.log } });
+}));
+
+// Accept a challenge: the opponent matches the wager and the clock starts
+app.post("/duels/:id/accept", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.user.email }).select('_id');
+  const duel = await Duel.findById(req.params.id);
+
+  if (!user || !duel || getDuelSide(duel, user._id) !== 'opponent') {
+    return res.status(404).json({ success: false, message: "Duel not found" });
+  }
+
+  await resolveDueDuels([duel.challenger.user, duel.opponent.user]);
+  const current = await Duel.findById(duel._id);
+  if (current.status !== 'pending') {
+    return res.status(409).json({ success: false, message: `Duel is ${current.status}` });
+  }
+
+  if (current.wager > 0) {
+    const escrowed = await User.updateOne({ _id: user._id, gold: { $gte: current.wager } }, { $inc: { gold: -current.wager } });
+    if (escrowed.modifiedCount === 0) {
+      return res.status(400).json({ success: false, message: "Not enough gold to match the wager" });
     }
-    
-    user.xp += Math.round(cups * 2);
-    
-    await user.save();
-    res.json({ success: true, message: "Water logged successfully" });
-  } catch (err) {
-    res.status(500).json({ success: false, message: "Server error" });
   }
-});
 
-function calculateWorkoutXP(name, reps, weight, sets = 1) {
-  const baseXP = Math.floor((reps * weight * sets) / 10) + 10;
-  
-  let bonus = 0;
-  if (name.toLowerCase().includes('squat')) bonus = 5;
-  if (name.toLowerCase().includes('push')) bonus = 8;
-  if (name.toLowerCase().includes('plank')) bonus = 3;
-  
-  return baseXP + bonus;
+  const now = new Date();
+  const started = await Duel.findOneAndUpdate(
+    { _id: current._id, status: 'pending' },
+    { $set: { status: 'active', startedAt: now, endsAt: new Date(now.getTime() + DUEL_RULES.durationHours * 60 * 60 * 1000) } },
+    { new: true }
+  );
+
+  if (!started) {
+    if (current.wager > 0) await User.updateOne({ _id: user._id }, { $inc: { gold: current.wager } });
+    return res.status(409).json({ success: false, message: "Duel is no longer pending" });
+  }
+
+  res.json({ success: true, message: "Duel accepted! Log workouts to attack.", duel: describeDuel(started, user._id) });
+}));
+
+// Decline (opponent) or cancel (challenger) a pending challenge
+app.post("/duels/:id/decline", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.user.email }).select('_id');
+  const duel = await Duel.findById(req.params.id);
+  const side = user && duel && getDuelSide(duel, user._id);
+
+  if (!side) {
+    return res.status(404).json({ success: false, message: "Duel not found" });
+  }
+
+  await resolveDueDuels([duel.challenger.user, duel.opponent.user]);
+  const status = side === 'opponent' ? 'declined' : 'cancelled';
+  const closed = await Duel.findOneAndUpdate({ _id: duel._id, status: 'pending' }, { $set: { status } }, { new: true });
+  if (!closed) {
+    return res.status(409).json({ success: false, message: "Only pending duels can be declined or cancelled" });
+  }
+
+  await refundDuelWager(closed);
+  res.json({ success: true, message: `Duel ${status}`, duel: describeDuel(closed, user._id) });
+}));
+
+// ====== QUEST LIFECYCLE ======
+
+// Quests saved before tracking existed fall back to their pool entry, then to their type
+function getQuestTracking(quest) {
+  if (quest.tracking && quest.tracking.metric) return quest.tracking;
+
+  const template = QUESTS.find(q => q.title === quest.title);
+  if (template && template.tracking) return template.tracking;
+
+  return quest.type === 'hydration'
+    ? { metric: 'cups', window: 'day' }
+    : { metric: 'reps', window: 'quest' };
 }
 
-// Log workout
-app.post("/log-workout", authenticateToken, async (req, res) => {
-  try {
-    const { name, reps, weight, sets = 1 } = req.body;
-    const user = await User.findOne({ email: req.user.email });
-    
-    const xp = calculateWorkoutXP(name, reps, weight, sets);
-    
-    user.workouts.push({
-      name,
-      reps: reps * sets,
-      weight,
-      xp,
-      date: new Date()
-    });
-    
-    user.xp += xp;
-    
-    const newLevel = Math.floor(user.xp / 100) + 1;
-    let leveledUp = false;
-    
-    if (newLevel > user.level) {
-      user.level = newLevel;
-      leveledUp = true;
-      
-      if (name.toLowerCase().includes('squat') || name.toLowerCase().includes('push')) {
-        user.stats.strength += 2;
-      } else if (name.toLowerCase().includes('plank') || name.toLowerCase().includes('crunch')) {
-        user.stats.stamina += 2;
-      } else {
-        user.stats.agility += 2;
+// Earliest moment that counts towards a quest: when it was accepted, or the
+// start of the hero's current day/week for quests that track a rolling window
+function getQuestWindowStart(quest, tracking, timeZone = 'UTC', now = new Date()) {
+  const acceptedAt = quest.acceptedAt ? new Date(quest.acceptedAt) : new Date(0);
+  if (tracking.window !== 'day' && tracking.window !== 'week') return acceptedAt;
+
+  const { start } = getPeriodBounds(tracking.window, now, timeZone);
+  return start > acceptedAt ? start : acceptedAt;
+}
+
+function measureWorkout(workout, metric) {
+  const reps = workout.reps || 0;
+  if (metric === 'sets') return workout.sets || 1;
+  if (metric === 'volume') return getWorkoutVolume(workout);
+  return reps;
+}
+
+// How far a hero is towards a quest's requirement, counting only activity
+// logged after the quest was accepted
+function calculateQuestProgress(user, quest) {
+  const tracking = getQuestTracking(quest);
+  const since = getQuestWindowStart(quest, tracking, user.timezone);
+  const until = quest.expiresAt ? new Date(quest.expiresAt) : null;
+  const inWindow = date => new Date(date) >= since && (!until || new Date(date) < until);
+  let current = 0;
+
+  if (tracking.metric === 'cups') {
+    const sinceDay = since.toISOString().split('T')[0];
+    current = user.waterIntake.reduce((total, entry) => {
+      if (entry.logs && entry.logs.length > 0) {
+        return total + entry.logs
+          .filter(log => inWindow(log.date))
+          .reduce((sum, log) => sum + log.cups, 0);
       }
-    }
-    
-    await user.save();
-    res.json({ 
-      success: true, 
-      message: "Workout logged successfully",
-      leveledUp: leveledUp,
-      newLevel: leveledUp ? newLevel : null,
-      xpEarned: xp
+      // Older entries only know their day, not when each cup was logged
+      return total + (entry.date >= sinceDay ? entry.cups : 0);
+    }, 0);
+  } else if (tracking.metric === 'battles_won') {
+    current = user.battles.filter(battle =>
+      battle.victory && inWindow(battle.completedAt || battle.date)
+    ).length;
+  } else if (tracking.metric === 'bosses_defeated') {
+    current = user.battles.filter(battle =>
+      battle.victory && battle.bossId && (!tracking.boss || battle.bossId === tracking.boss) &&
+      inWindow(battle.completedAt || battle.date)
+    ).length;
+  } else {
+    const trackedExercise = tracking.exercise ? findExercise(tracking.exercise) : null;
+    const exerciseId = trackedExercise ? trackedExercise.id : tracking.exercise;
+    current = user.workouts
+      .filter(workout => inWindow(workout.date))
+      .filter(workout => !exerciseId || getWorkoutExerciseId(workout) === exerciseId)
+      .reduce((total, workout) => total + measureWorkout(workout, tracking.metric), 0);
+  }
+
+  return {
+    current,
+    progress: Math.min(current / quest.requirement, 1),
+    claimable: quest.status === 'active' && current >= quest.requirement,
+    tracking
+  };
+}
+
+// Build one period's quest board. The picks and their order depend only on
+// the hero, board and period key, so the same day always yields the same board.
+function generateQuestBoard(user, board, period) {
+  const random = createSeededRandom(`${user._id}:${board}:${period.key}`);
+  const templates = QUEST_TEMPLATES.filter(template => template.board === board);
+  const levelsGained = Math.max((user.level || 1) - 1, 0);
+  const rewardScale = 1 + levelsGained * 0.1;
+  const quests = [];
+
+  while (quests.length < QUEST_BOARD_SIZE[board] && templates.length > 0) {
+    const [template] = templates.splice(Math.floor(random() * templates.length), 1);
+    const requirement = Math.min(
+      Math.round(template.requirement + template.perLevel * levelsGained),
+      template.maxRequirement || Infinity
+    );
+
+    quests.push({
+      title: template.title,
+      description: template.description.replace('{n}', requirement),
+      type: template.type,
+      requirement,
+      tracking: { ...template.tracking, window: 'quest' },
+      reward: {
+        xp: Math.round(template.reward.xp * rewardScale),
+        gold: Math.round(template.reward.gold * rewardScale)
+      },
+      status: 'active',
+      board,
+      templateId: template.id,
+      periodKey: period.key,
+      acceptedAt: period.start,
+      expiresAt: period.end
     });
-  } catch (err) {
-    res.status(500).json({ success: false, message: "Server error" });
   }
-});
 
-// Today's water
-app.get("/today-water", authenticateToken, async (req, res) => {
-  try {
-    const today = new Date().toISOString().split('T')[0];
-    const user = await User.findOne({ email: req.user.email });
-    
-    const todayEntry = user.waterIntake.find(entry => entry.date === today);
-    const cups = todayEntry ? todayEntry.cups : 0;
-    
-    res.json({ cups, goal: 8 });
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
+  return quests;
+}
+
+// Archive quests whose period is over and deal any board that has not been
+// generated for the current period yet. Returns whether anything changed.
+function syncQuestBoards(user, now = new Date()) {
+  const timeZone = user.timezone || 'UTC';
+  let changed = false;
+
+  for (const quest of [...user.activeQuests]) {
+    if (quest.expiresAt && new Date(quest.expiresAt) <= now) {
+      user.activeQuests.pull(quest._id);
+      user.archivedQuests.push({ ...quest.toObject(), status: 'expired' });
+      changed = true;
+    }
   }
-});
 
-// Quests
-app.get("/quests", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.user.email });
-    
-    if (user.activeQuests.length === 0) {
-      user.activeQuests = QUESTS.map(quest => ({...quest}));
-      await user.save();
+  for (const [board, period] of [['daily', 'day'], ['weekly', 'week']]) {
+    const bounds = getPeriodBounds(period, now, timeZone);
+    const dealt = [...user.activeQuests, ...user.completedQuests]
+      .some(quest => quest.board === board && quest.periodKey === bounds.key);
+
+    if (!dealt) {
+      user.activeQuests.push(...generateQuestBoard(user, board, bounds));
+      changed = true;
     }
-    
-    res.json(user.activeQuests);
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
   }
-});
+
+  return changed;
+}
+
+// Quests
+app.get("/quests", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  
+  if ([syncQuestBoards(user), syncBossQuests(user)].some(Boolean)) {
+    await user.save();
+  }
+  
+  res.json({ success: true, quests: user.activeQuests });
+}));
 
 // Quest progress
-app.get("/quests/progress", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.user.email });
-    const today = new Date().toISOString().split('T')[0];
-    
-    const progress = user.activeQuests.map(quest => {
-      let completed = 0;
-      
-      if (quest.type === 'workout') {
-        completed = user.workouts.reduce((total, workout) => 
-          total + (workout.name.toLowerCase().includes('squat') ? workout.reps : 0), 0);
-      } else if (quest.type === 'hydration') {
-        const todayWater = user.waterIntake.find(entry => entry.date === today);
-        completed = todayWater ? todayWater.cups : 0;
-      }
-      
-      return {
-        ...quest._doc,
-        completed,
-        progress: Math.min(completed / quest.requirement, 1)
-      };
-    });
-    
-    res.json(progress);
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
+app.get("/quests/progress", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  
+  if ([syncQuestBoards(user), syncBossQuests(user)].some(Boolean)) {
+    await user.save();
   }
-});
+  
+  const progress = user.activeQuests.map(quest => ({
+    ...quest._doc,
+    ...calculateQuestProgress(user, quest)
+  }));
+  
+  res.json({ success: true, quests: progress });
+}));
 
-// Battle start
-app.post("/battle/start", authenticateToken, async (req, res) => {
+// Claim quest reward
+app.post("/quests/claim/:id", authenticateToken, validate({
+  params: { id: field.objectId({ required: true }) }
+}), asyncHandler(async (req, res, next) => {
   try {
-    const user = await User.findOne({ email: req.user.email });
-    
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "User not found" 
+    const user = await requireUser(req);
+
+    const quest = user.activeQuests.id(req.params.id);
+
+    if (!quest) {
+      const alreadyClaimed = user.completedQuests.id(req.params.id);
+      return res.status(alreadyClaimed ? 409 : 404).json({
+        success: false,
+        message: alreadyClaimed ? "Quest reward already claimed" : "Quest not found"
       });
     }
-    
-    if (user.stats.health <= 10) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Your health is too low! Buy health potions first." 
+
+    if (quest.expiresAt && new Date(quest.expiresAt) <= new Date()) {
+      return res.status(410).json({ success: false, message: "Quest has expired" });
+    }
+
+    const { current } = calculateQuestProgress(user, quest);
+    if (current < quest.requirement) {
+      return res.status(400).json({
+        success: false,
+        message: `Quest not complete yet: ${current}/${quest.requirement}`
       });
     }
-    
-    const randomIndex = Math.floor(Math.random() * ENEMIES.length);
-    const enemy = ENEMIES[randomIndex];
-    
-    const battle = {
-      enemyName: enemy.name,
-      enemyHP: enemy.hp,
-      enemyMaxHP: enemy.hp,
-      enemyDamage: enemy.damage,
-      enemyDescription: enemy.description,
-      userHP: user.stats.health,
-      userMaxHP: user.stats.health,
-      completed: false,
-      victory: false,
-      fled: false
+
+    const reward = quest.reward || { xp: 0, gold: 0 };
+    user.gold += reward.gold;
+    const progression = grantXP(user, reward.xp, { source: 'quest' });
+
+    const claimedQuest = {
+      ...quest.toObject(),
+      completed: true,
+      status: 'claimed',
+      claimedAt: new Date()
     };
-    
-    user.battles.push(battle);
+
+    // pull() bumps the document version, so a concurrent claim of the same
+    // quest fails with a VersionError instead of paying out twice
+    user.activeQuests.pull(quest._id);
+    user.completedQuests.push(claimedQuest);
+    const streakEvents = syncStreaks(user);
+    const achievementsUnlocked = evaluateAchievements(user);
+    queueQuestProgress(user);
+
     await user.save();
-    
-    res.json({ 
+
+    res.json({
       success: true,
-      battle, 
-      userStats: user.stats,
-      message: `A wild ${enemy.name} appears! ${enemy.description}`
+      message: `Quest complete: ${quest.title}! +${reward.xp} XP, +${reward.gold} Gold`,
+      reward,
+      streakEvents,
+      achievementsUnlocked,
+      leveledUp: progression.leveledUp,
+      newLevel: progression.leveledUp ? progression.newLevel : null,
+      levelUps: progression.events
     });
   } catch (err) {
-    console.error("Battle start error:", err);
-    res.status(500).json({ 
+    if (err instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ success: false, message: "Quest reward already claimed" });
+    }
+    next(err);
+  }
+}));
+
+// Boss encounters
+app.get("/bosses", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const bosses = BOSSES.map(boss => {
+    const scaled = scaleEnemyToLevel(boss, user.level);
+    return {
+      id: boss.id,
+      name: boss.name,
+      description: boss.description,
+      hp: scaled.hp,
+      damage: scaled.damage,
+      reward: { ...boss.reward, xp: scaled.reward.xp, gold: scaled.reward.gold },
+      ...getBossStatus(user, boss)
+    };
+  });
+
+  res.json({ success: true, bosses });
+}));
+
+// Battle start
+app.post("/battle/start", authenticateToken, validate({
+  body: { bossId: field.string({ max: 60 }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  
+  if (user.stats.health <= 10) {
+    return res.status(400).json({ 
       success: false, 
-      message: "Server error starting battle",
-      error: err.message 
+      message: "Your health is too low! Buy health potions first." 
     });
   }
-});
-
-// Battle attack
-app.post("/battle/attack", authenticateToken, async (req, res) => {
-  try {
-    const { name, reps, weight } = req.body;
-    const user = await User.findOne({ email: req.user.email });
-    
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
+  
+  const lastBattle = user.battles[user.battles.length - 1];
+  const readyAt = lastBattle && new Date(lastBattle.date.getTime() + ANTI_CHEAT.battleCooldownMinutes * 60 * 1000);
+  if (readyAt && readyAt > new Date()) {
+    throw rateLimited(res, readyAt, 'BATTLE_COOLDOWN', "You need to rest between battles");
+  }
+  
+  let enemy;
+  
+  if (req.body.bossId) {
+    const boss = BOSSES.find(b => b.id === req.body.bossId);
+    if (!boss) {
+      return res.status(404).json({ success: false, message: "Boss not found" });
     }
-    
-    const activeBattle = user.battles
-      .filter(battle => !battle.completed)
-      .pop();
-    
-    if (!activeBattle) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "No active battle found" 
-      });
+    if (!getBossStatus(user, boss).unlocked) {
+      return res.status(403).json({ success: false, message: `${boss.name} has not been unlocked yet` });
     }
+    enemy = scaleEnemyToLevel(boss, user.level);
+  } else {
+    enemy = scaleEnemyToLevel(pickEnemyForLevel(user.level), user.level);
+  }
+  
+  const battle = {
+    enemyName: enemy.name,
+    enemyHP: enemy.hp,
+    enemyMaxHP: enemy.hp,
+    enemyDamage: enemy.damage,
+    enemyDescription: enemy.description,
+    bossId: enemy.id,
+    reward: { xp: enemy.reward.xp, gold: enemy.reward.gold },
+    userHP: user.stats.health,
+    userMaxHP: user.stats.health,
+    completed: false,
+    victory: false,
+    fled: false,
+    seed: Math.random().toString(36).slice(2),
+    round: 0
+  };
+  
+  user.battles.push(battle);
+  await user.save();
+  
+  res.json({ 
+    success: true,
+    battle, 
+    userStats: user.stats,
+    message: enemy.id
+      ? `${enemy.name} rises to face you! ${enemy.description}`
+      : `A wild ${enemy.name} appears! ${enemy.description}`
+  });
+}));
+
+// Battle attack
+app.post("/battle/attack", authenticateToken, validate({
+  body: {
+    reps: field.integer({ required: true, min: 1, max: 1000 }),
+    weight: field.number({ min: 0, max: 1000, default: 0 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { reps, weight } = req.body;
+  if (reps > ANTI_CHEAT.attackLimits.reps || weight > ANTI_CHEAT.attackLimits.weight) {
+    return res.status(400).json({
+      success: false,
+      code: 'IMPLAUSIBLE_ACTIVITY',
+      message: `Attacks are capped at ${ANTI_CHEAT.attackLimits.reps} reps and ${ANTI_CHEAT.attackLimits.weight} lbs`
+    });
+  }
+  const user = await requireUser(req);
+  
+  const activeBattle = user.battles
+    .filter(battle => !battle.completed)
+    .pop();
+  
+  if (!activeBattle) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "No active battle found" 
+    });
+  }
+  
+  const enemy = activeBattle.bossId
+    ? BOSSES.find(b => b.id === activeBattle.bossId)
+    : ENEMIES.find(e => e.name === activeBattle.enemyName) || ENEMIES[0];
+  activeBattle.round = (activeBattle.round || 0) + 1;
+  const random = activeBattle.seed
+    ? createSeededRandom(`${activeBattle.seed}:${activeBattle.round}`)
+    : Math.random;
+  
+  const outcome = resolveCombatRound({
+    stats: getEffectiveStats(user),
+    enemy,
+    enemyHP: activeBattle.enemyHP,
+    enemyMaxHP: activeBattle.enemyMaxHP,
+    enemyDamage: activeBattle.enemyDamage || 10,
+    heroHP: user.stats.health,
+    attack: { reps, weight },
+    maxWorkDamage: ANTI_CHEAT.maxWorkDamage,
+    random
+  });
+  
+  activeBattle.enemyHP = outcome.enemyHP;
+  user.stats.health = outcome.heroHP;
+  activeBattle.userHP = outcome.heroHP;
+  
+  const combatLog = outcome.turns.map(turn => ({ round: activeBattle.round, ...turn }));
+  activeBattle.log.push(...combatLog);
+  
+  let battleResult = null;
+  
+  if (activeBattle.enemyHP <= 0) {
+    // Checked before this win counts towards it
+    const now = new Date();
+    const allowance = getXPAllowance(user, null, null, now);
+    activeBattle.completed = true;
+    activeBattle.victory = true;
+    activeBattle.completedAt = now;
+    user.leaderboard.battlesWon = (user.leaderboard.battlesWon || 0) + 1;
     
-    const baseDamage = Math.floor((reps * (weight || 1)) / 10) + user.stats.strength;
-    activeBattle.enemyHP -= baseDamage;
-    
-    const enemyDamage = activeBattle.enemyDamage || 10;
-    user.stats.health -= enemyDamage;
-    activeBattle.userHP = user.stats.health;
-    
-    if (user.stats.health < 0) user.stats.health = 0;
-    if (activeBattle.enemyHP < 0) activeBattle.enemyHP = 0;
+    const baseReward = activeBattle.reward && activeBattle.reward.xp != null
+      ? activeBattle.reward
+      : enemy.reward || { xp: 50, gold: 25 };
+    const reward = {
+      xp: Math.round(baseReward.xp * allowance.factor),
+      gold: Math.round(baseReward.gold * allowance.factor)
+    };
+    // What was actually paid, for the activity feed
+    activeBattle.reward = { xp: reward.xp, gold: reward.gold };
+    const allowanceText = allowance.adjustments.length > 0
+      ? ` (${allowance.adjustments.map(adjustment => XP_ADJUSTMENT_NOTES[adjustment]).join('; ')})`
+      : '';
     
-    let battleResult = null;
+    user.gold += reward.gold;
     
-    if (activeBattle.enemyHP <= 0) {
-      activeBattle.completed = true;
-      activeBattle.victory = true;
-      
-      const enemy = ENEMIES.find(e => e.name === activeBattle.enemyName) || ENEMIES[0];
-      const reward = enemy.reward || { xp: 50, gold: 25 };
-      
-      user.xp += reward.xp;
-      user.gold += reward.gold;
-      
-      const newLevel = Math.floor(user.xp / 100) + 1;
-      if (newLevel > user.level) {
-        user.level = newLevel;
-        user.stats.strength += 2;
-        user.stats.stamina += 2;
-        user.stats.agility += 1;
-        user.stats.health += 20;
+    // A boss's trophy and stat boost are only handed out the first time
+    let bossBonus = '';
+    if (activeBattle.bossId && !user.trophies.some(t => t.bossId === activeBattle.bossId)) {
+      const bossReward = enemy.reward;
+      for (const [stat, amount] of Object.entries(bossReward.stats || {})) {
+        user.stats[stat] += amount;
       }
-      
-      battleResult = {
-        victory: true,
-        reward: reward,
-        message: `You defeated ${activeBattle.enemyName}! +${reward.xp} XP, +${reward.gold} Gold`
-      };
-      
-    } else if (activeBattle.userHP <= 0) {
-      activeBattle.completed = true;
-      activeBattle.victory = false;
-      battleResult = {
-        victory: false,
-        message: "You were defeated! Your health has been reduced. Buy health potions to recover."
-      };
+      user.trophies.push({ bossId: activeBattle.bossId, name: bossReward.trophy });
+      reward.stats = bossReward.stats;
+      reward.trophy = bossReward.trophy;
+      bossBonus = ` 🏆 Trophy earned: ${bossReward.trophy}!`;
     }
     
-    await user.save();
+    const progression = grantXP(user, reward.xp, { source: 'battle' });
+    const levelUpText = progression.leveledUp ? ` ⭐ Level up! You are now level ${progression.newLevel}!` : '';
     
-    res.json({
-      success: true,
-      damageDealt: baseDamage,
-      damageTaken: enemyDamage,
-      battle: activeBattle,
-      userHealth: user.stats.health,
-      battleResult: battleResult,
-      message: activeBattle.completed ? 
-        (battleResult ? battleResult.message : "Battle ended") :
-        `You dealt ${baseDamage} damage! ${activeBattle.enemyName} hit you for ${enemyDamage} damage!`
-    });
+    battleResult = {
+      victory: true,
+      reward: reward,
+      leveledUp: progression.leveledUp,
+      newLevel: progression.leveledUp ? progression.newLevel : null,
+      levelUps: progression.events,
+      xpFactor: allowance.factor,
+      xpAdjustments: allowance.adjustments,
+      message: `You defeated ${activeBattle.enemyName}! +${reward.xp} XP, +${reward.gold} Gold${allowanceText}${bossBonus}${levelUpText}`
+    };
     
-  } catch (err) {
-    console.error("Battle attack error:", err);
-    res.status(500).json({ 
+  } else if (activeBattle.userHP <= 0) {
+    activeBattle.completed = true;
+    activeBattle.victory = false;
+    activeBattle.completedAt = new Date();
+    battleResult = {
+      victory: false,
+      message: "You were defeated! Your health has been reduced. Buy health potions to recover."
+    };
+  }
+  
+  queueUserEvent(user, 'battle_turn', {
+    battleId: activeBattle._id,
+    round: activeBattle.round,
+    turns: combatLog,
+    enemyName: activeBattle.enemyName,
+    enemyHP: activeBattle.enemyHP,
+    enemyMaxHP: activeBattle.enemyMaxHP,
+    userHP: activeBattle.userHP,
+    completed: activeBattle.completed,
+    victory: activeBattle.victory
+  });
+  
+  if (battleResult) {
+    queueQuestProgress(user);
+    battleResult.achievementsUnlocked = evaluateAchievements(user);
+    const names = battleResult.achievementsUnlocked.filter(event => event.type === 'achievement').map(event => event.name);
+    if (names.length > 0) {
+      battleResult.message += ` 🏅 Achievement unlocked: ${names.join(', ')}!`;
+    }
+  }
+  
+  await user.save();
+  
+  res.json({
+    success: true,
+    damageDealt: outcome.damageDealt,
+    damageTaken: outcome.damageTaken,
+    combatLog,
+    battle: activeBattle,
+    userHealth: user.stats.health,
+    battleResult: battleResult,
+    message: activeBattle.completed ? 
+      (battleResult ? battleResult.message : "Battle ended") :
+      combatLog.map(turn => turn.message).join(' ')
+  });
+  
+}));
+
+// Buy health
+app.post("/shop/buy-health", authenticateToken, validate({
+  body: { amount: field.integer({ required: true, min: 1, max: 100 }) }
+}), asyncHandler(async (req, res) => {
+  const current = await requireUser(req);
+  // Only the health that fits under the cap is sold
+  const amount = Math.min(req.body.amount, MAX_HEALTH - current.stats.health);
+  if (amount <= 0) {
+    return res.status(400).json({ success: false, message: "You're already at full health!" });
+  }
+  const cost = amount * 10;
+  
+  // Same guarded update as /shop/buy, so concurrent purchases can't
+  // overspend, and guarded on health so they can't overheal either
+  const user = await User.findOneAndUpdate(
+    { _id: current._id, gold: { $gte: cost }, 'stats.health': { $lte: MAX_HEALTH - amount } },
+    { $inc: { gold: -cost, 'stats.health': amount } },
+    { new: true }
+  );
+  
+  if (!user) {
+    const latest = await requireUser(req);
+    return res.status(400).json({ 
       success: false, 
-      message: "Server error in battle attack",
-      error: err.message 
+      message: latest.gold < cost
+        ? `Not enough gold! Need ${cost} gold.`
+        : `You can only restore ${Math.max(MAX_HEALTH - latest.stats.health, 0)} more health.`
     });
   }
-});
+  
+  res.json({
+    success: true,
+    healthGained: amount,
+    goldSpent: cost,
+    newHealth: user.stats.health,
+    newGold: user.gold,
+    message: `Restored ${amount} health for ${cost} gold!`
+  });
+}));
+
+// ====== SHOP & INVENTORY ======
+
+// Shop listing
+app.get("/shop", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+
+  const items = SHOP_ITEMS.map(item => {
+    const owned = user.inventory.find(entry => entry.item === item.id);
+    return { ...item, owned: owned ? owned.quantity : 0 };
+  });
+
+  res.json({ success: true, gold: user.gold, items });
+}));
+
+// Buy item
+app.post("/shop/buy", authenticateToken, validate({
+  body: {
+    itemId: field.string({ required: true, max: 60 }),
+    quantity: field.integer({ min: 1, max: Math.max(...SHOP_ITEMS.map(item => item.maxStack)), default: 1 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { itemId, quantity } = req.body;
+  const item = SHOP_ITEMS.find(i => i.id === itemId);
+
+  if (!item) {
+    return res.status(404).json({ success: false, message: "Item not found" });
+  }
+  if (quantity > item.maxStack) {
+    return res.status(400).json({ success: false, message: `Quantity must be between 1 and ${item.maxStack}` });
+  }
 
-// Buy health
-app.post("/shop/buy-health", authenticateToken, async (req, res) => {
-  try {
-    const { amount } = req.body;
-    const user = await User.findOne({ email: req.user.email });
-    const cost = amount * 10;
-    
-    if (user.gold < cost) {
-      return res.status(400).json({ 
-        success: false, 
-        message: `Not enough gold! Need ${cost} gold.` 
-      });
-    }
-    
-    user.gold -= cost;
-    user.stats.health += amount;
-    
-    await user.save();
-    
-    res.json({
-      success: true,
-      healthGained: amount,
-      goldSpent: cost,
-      newHealth: user.stats.health,
-      newGold: user.gold,
-      message: `Restored ${amount} health for ${cost} gold!`
-    });
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
+  const cost = item.price * quantity;
+
+  // Gold is only deducted by a query that also requires enough gold, so
+  // concurrent purchases cannot take the balance below zero. The stack is
+  // bumped in the same update, or created if the hero has none yet.
+  const addToStack = () => User.findOneAndUpdate(
+    {
+      email: req.user.email,
+      gold: { $gte: cost },
+      inventory: { $elemMatch: { item: item.id, quantity: { $lte: item.maxStack - quantity } } }
+    },
+    { $inc: { gold: -cost, 'inventory.$.quantity': quantity } },
+    { new: true }
+  );
+
+  let user = await addToStack();
+
+  if (!user) {
+    user = await User.findOneAndUpdate(
+      { email: req.user.email, gold: { $gte: cost }, 'inventory.item': { $ne: item.id } },
+      { $inc: { gold: -cost }, $push: { inventory: { item: item.id, quantity } } },
+      { new: true }
+    );
   }
-});
 
-// Flee battle
-app.post("/battle/flee", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.user.email });
-    const activeBattle = user.battles[user.battles.length - 1];
-    
-    if (!activeBattle || activeBattle.completed) {
-      return res.status(400).json({ message: "No active battle" });
-    }
-    
-    activeBattle.completed = true;
-    activeBattle.fled = true;
-    
-    user.stats.health -= 5;
-    
-    await user.save();
-    
-    res.json({
-      success: true,
-      healthLost: 5,
-      newHealth: user.stats.health,
-      message: "You fled from battle! Lost 5 health from the escape."
-    });
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
+  // Another request may have created the stack between the two attempts
+  if (!user) {
+    user = await addToStack();
   }
-});
 
-// Recent activities
-app.get("/recent-activities", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.user.email });
-    
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+  if (!user) {
+    const current = await User.findOne({ email: req.user.email });
+    if (!current) {
+      return res.status(404).json({ success: false, message: "User not found" });
     }
-    
-    const recentWorkouts = user.workouts
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 5)
-      .map(workout => ({
-        type: "workout",
-        title: workout.name,
-        details: `${workout.reps} reps${workout.weight ? ` @ ${workout.weight}kg` : ''}`,
-        xp: workout.xp,
-        date: workout.date,
-        icon: "🏋️"
-      }));
-    
-    const recentBattles = user.battles
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 5)
-      .map(battle => ({
-        type: "battle",
-        title: battle.enemyName || "Enemy",
-        details: battle.victory ? "Victory!" : battle.fled ? "Fled" : "Defeated",
-        xp: battle.victory ? 50 : 10,
-        date: battle.date,
-        icon: "⚔️",
-        result: battle.victory ? "victory" : "defeat"
-      }));
-    
-    const recentWaterLogs = user.waterIntake
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 3)
-      .map(water => ({
-        type: "water",
-        title: "Water Intake",
-        details: `${water.cups} cups`,
-        xp: Math.round(water.cups * 2),
-        date: water.date,
-        icon: "💧"
-      }));
-    
-    const allActivities = [...recentWorkouts, ...recentBattles, ...recentWaterLogs]
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 10);
-    
-    res.json({ activities: allActivities });
-  } catch (err) {
-    console.error("Error getting activities:", err);
-    res.status(500).json({ message: "Server error" });
+    if (current.gold < cost) {
+      return res.status(400).json({ success: false, message: `Not enough gold! Need ${cost} gold.` });
+    }
+    return res.status(400).json({ success: false, message: `You can only carry ${item.maxStack} ${item.name}s` });
   }
-});
 
-// Level progress
-app.get("/level-progress", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.user.email });
-    
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    
-    const currentXP = user.xp;
-    const currentLevel = user.level;
-    const xpForNextLevel = currentLevel * 100;
-    const xpForCurrentLevel = (currentLevel - 1) * 100;
-    const xpProgress = currentXP - xpForCurrentLevel;
-    const progressPercent = (xpProgress / 100) * 100;
-    
-    res.json({
-      level: currentLevel,
-      xp: currentXP,
-      xpForNextLevel: xpForNextLevel,
-      xpProgress: xpProgress,
-      progressPercent: Math.min(progressPercent, 100),
-      nextLevel: currentLevel + 1
-    });
-  } catch (err) {
-    console.error("Error getting level progress:", err);
-    res.status(500).json({ message: "Server error" });
+  const stack = user.inventory.find(entry => entry.item === item.id);
+
+  res.json({
+    success: true,
+    item: item.id,
+    quantity,
+    goldSpent: cost,
+    newGold: user.gold,
+    owned: stack ? stack.quantity : quantity,
+    message: `Purchased ${quantity} ${item.name}${quantity > 1 ? 's' : ''} for ${cost} gold!`
+  });
+}));
+
+// Use inventory item
+app.post("/inventory/use", authenticateToken, validate({
+  body: { itemId: field.string({ required: true, max: 60 }) }
+}), asyncHandler(async (req, res) => {
+  const { itemId } = req.body;
+  const item = SHOP_ITEMS.find(i => i.id === itemId);
+
+  if (!item) {
+    return res.status(404).json({ success: false, message: "Item not found" });
   }
-});
 
-// ====== AI ENDPOINTS ======
+  if (item.effect.type === 'passive') {
+    return res.status(400).json({ success: false, message: `${item.name} is used automatically` });
+  }
 
-// AI Workout Recommendations
-app.get("/api/recommendations", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.user.email });
-    
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
-    
-    // Analyze user's recent workouts (last 14 days)
-    const twoWeeksAgo = new Date();
-    twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
-    
-    const recentWorkouts = user.workouts.filter(w => new Date(w.date) > twoWeeksAgo);
-    
-    // Calculate which stats need improvement
-    const stats = user.stats;
-    const statsValues = [
-      { name: "Strength", value: stats.strength, 
-        workouts: recentWorkouts.filter(w => 
-          w.name.toLowerCase().includes('squat') || 
-          w.name.toLowerCase().includes('push')
-        ).length 
-      },
-      { name: "Stamina", value: stats.stamina, 
-        workouts: recentWorkouts.filter(w => 
-          w.name.toLowerCase().includes('plank') || 
-          w.name.toLowerCase().includes('crunch')
-        ).length 
-      },
-      { name: "Agility", value: stats.agility, 
-        workouts: recentWorkouts.filter(w => 
-          w.name.toLowerCase().includes('lunge') || 
-          w.name.toLowerCase().includes('jump')
-        ).length 
+  const now = new Date();
+  const update = { $inc: { 'inventory.$.quantity': -1 } };
+
+  if (item.effect.type === 'heal') {
+    update.$inc['stats.health'] = item.effect.amount;
+  } else if (item.effect.type === 'buff') {
+    update.$push = {
+      activeBuffs: {
+        item: item.id,
+        stat: item.effect.stat,
+        amount: item.effect.amount,
+        expiresAt: new Date(now.getTime() + item.effect.durationMinutes * 60 * 1000)
       }
-    ];
-    
-    // Find weakest stat
-    const weakestStat = statsValues.reduce((a, b) => a.value < b.value ? a : b);
-    // Find stat with least recent workouts
-    const mostNeglectedStat = statsValues.reduce((a, b) => a.workouts < b.workouts ? a : b);
-    
-    // Workout library
-    const workoutLibrary = {
-      strength: [
-        { name: "Squats", baseReps: 12, icon: "🦵", description: "Build powerful legs" },
-        { name: "Push-ups", baseReps: 10, icon: "💪", description: "Upper body strength" },
-        { name: "Lunges with Weights", baseReps: 10, icon: "🏋️", description: "Leg strength and balance" }
-      ],
-      stamina: [
-        { name: "Plank", baseReps: 30, unit: "seconds", icon: "⏱️", description: "Core endurance" },
-        { name: "Crunches", baseReps: 20, icon: "🔥", description: "Ab strength" },
-        { name: "Mountain Climbers", baseReps: 20, icon: "⛰️", description: "Full body cardio" }
-      ],
-      agility: [
-        { name: "Jumping Jacks", baseReps: 25, icon: "⚡", description: "Full body cardio" },
-        { name: "High Knees", baseReps: 20, icon: "🏃", description: "Speed and coordination" },
-        { name: "Lateral Lunges", baseReps: 12, icon: "🦵↔️", description: "Side-to-side movement" }
-      ]
     };
-    
-    // Calculate reps based on user level
-    const levelBonus = Math.floor(user.level / 2);
-    
-    // Build recommendations
-    const workoutRecommendations = [];
-    
-    // Recommendation 1: Target weakest stat
-    let focusKey = weakestStat.name.toLowerCase();
-    let exercises = workoutLibrary[focusKey] || workoutLibrary.strength;
-    let targetExercises = exercises.slice(0, 3).map(ex => ({
-      name: ex.name,
-      reps: ex.baseReps + levelBonus,
-      unit: ex.unit || "reps",
-      sets: 3,
-      icon: ex.icon,
-      description: ex.description
+  }
+
+  // Matching on a positive quantity makes using the last potion twice at
+  // once impossible: the second request no longer finds a stack to take from
+  const filter = { email: req.user.email, inventory: { $elemMatch: { item: item.id, quantity: { $gte: 1 } } } };
+  if (item.effect.type === 'heal') {
+    filter['stats.health'] = { $lt: MAX_HEALTH };
+  }
+  const user = await User.findOneAndUpdate(filter, update, { new: true });
+
+  if (!user) {
+    const latest = await requireUser(req);
+    const message = item.effect.type === 'heal' && latest.stats.health >= MAX_HEALTH
+      ? "You're already at full health!"
+      : `You don't have any ${item.name}s`;
+    return res.status(400).json({ success: false, message });
+  }
+
+  // Tidy up empty stacks and buffs that have run out
+  await User.updateOne(
+    { _id: user._id },
+    { $pull: { inventory: { quantity: { $lte: 0 } }, activeBuffs: { expiresAt: { $lte: now } } } }
+  );
+
+  // A potion tops health up to the cap; whatever is left of it goes to waste
+  let healed = item.effect.amount;
+  if (item.effect.type === 'heal' && user.stats.health > MAX_HEALTH) {
+    healed -= user.stats.health - MAX_HEALTH;
+    user.stats.health = MAX_HEALTH;
+    await User.updateOne(
+      { _id: user._id, 'stats.health': { $gt: MAX_HEALTH } },
+      { $set: { 'stats.health': MAX_HEALTH } }
+    );
+  }
+
+  const stack = user.inventory.find(entry => entry.item === item.id);
+
+  res.json({
+    success: true,
+    item: item.id,
+    remaining: stack ? stack.quantity : 0,
+    stats: user.stats,
+    effectiveStats: getEffectiveStats(user, now),
+    activeBuffs: getActiveBuffs(user, now),
+    message: item.effect.type === 'heal'
+      ? `Used ${item.name}! +${healed} health`
+      : `Used ${item.name}! +${item.effect.amount} ${item.effect.stat} for ${item.effect.durationMinutes} minutes`
+  });
+}));
+
+// Flee battle
+app.post("/battle/flee", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  const activeBattle = user.battles[user.battles.length - 1];
+  
+  if (!activeBattle || activeBattle.completed) {
+    return res.status(400).json({ message: "No active battle" });
+  }
+  
+  activeBattle.completed = true;
+  activeBattle.fled = true;
+  activeBattle.completedAt = new Date();
+  
+  user.stats.health -= 5;
+  const achievementsUnlocked = evaluateAchievements(user);
+  
+  await user.save();
+  
+  res.json({
+    success: true,
+    healthLost: 5,
+    achievementsUnlocked,
+    newHealth: user.stats.health,
+    message: "You fled from battle! Lost 5 health from the escape."
+  });
+}));
+
+// Recent activities
+app.get("/recent-activities", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  
+  const recentWorkouts = [...user.workouts]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, 5)
+    .map(workout => ({
+      type: "workout",
+      title: workout.name,
+      details: `${workout.reps} reps${workout.weight ? ` @ ${workout.weight} lbs` : ''}`,
+      xp: workout.xp,
+      date: workout.date,
+      icon: "🏋️"
     }));
-    
-    workoutRecommendations.push({
-      id: "target_weakness",
-      name: `${weakestStat.name} Booster`,
-      exercises: targetExercises,
-      reason: `Your ${weakestStat.name} (${weakestStat.value}) is your lowest stat. Building ${weakestStat.name.toLowerCase()} will make you stronger in battles!`,
-      focus: focusKey,
-      estimatedXp: Math.floor(50 + (user.level * 8) + (weakestStat.value < 10 ? 20 : 0))
+  
+  const recentBattles = [...user.battles]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, 5)
+    .map(battle => ({
+      type: "battle",
+      title: battle.enemyName || "Enemy",
+      details: battle.victory ? "Victory!" : battle.fled ? "Fled" : "Defeated",
+      xp: battle.victory ? (battle.reward?.xp ?? 0) : 0,
+      date: battle.date,
+      icon: "⚔️",
+      result: battle.victory ? "victory" : "defeat"
+    }));
+  
+  const recentWaterLogs = [...user.waterIntake]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, 3)
+    .map(water => ({
+      type: "water",
+      title: "Water Intake",
+      details: `${water.cups} cups`,
+      xp: water.logs && water.logs.length > 0 && water.logs.every(log => log.xp != null)
+        ? water.logs.reduce((sum, log) => sum + log.xp, 0)
+        : Math.round(water.cups * 2),
+      date: water.date,
+      icon: "💧"
+    }));
+  
+  const recentAchievements = [...user.achievements]
+    .sort((a, b) => new Date(b.unlockedAt) - new Date(a.unlockedAt))
+    .slice(0, 3)
+    .map(entry => {
+      const achievement = ACHIEVEMENTS.find(a => a.id === entry.achievementId);
+      return {
+        type: "achievement",
+        title: achievement ? achievement.name : entry.achievementId,
+        details: achievement ? achievement.description : "Achievement unlocked",
+        xp: achievement ? achievement.reward.xp : 0,
+        date: entry.unlockedAt,
+        icon: achievement ? achievement.icon : "🏅"
+      };
     });
-    
-    // Recommendation 2: Variety recommendation
-    let varietyKey = mostNeglectedStat.name.toLowerCase();
-    let varietyExercises = workoutLibrary[varietyKey] || workoutLibrary.strength;
-    let varietyTarget = varietyExercises.slice(0, 3).map(ex => ({
+  
+  const allActivities = [...recentWorkouts, ...recentBattles, ...recentWaterLogs, ...recentAchievements]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, 10);
+  
+  res.json({ success: true, activities: allActivities });
+}));
+
+// Level progress
+app.get("/level-progress", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  
+  const progress = getLevelProgress(user);
+  
+  res.json({
+    success: true,
+    ...progress,
+    xpProgress: progress.xpIntoLevel
+  });
+}));
+
+// ====== AI ENDPOINTS ======
+
+// AI Workout Recommendations
+app.get("/api/recommendations", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  
+  // Analyze user's recent workouts (last 14 days)
+  const twoWeeksAgo = new Date();
+  twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
+  
+  const recentWorkouts = user.workouts.filter(w => new Date(w.date) > twoWeeksAgo);
+  
+  // Calculate which stats need improvement
+  const stats = user.stats;
+  const countTraining = stat => recentWorkouts.filter(w => {
+    const exercise = findExercise(getWorkoutExerciseId(w));
+    return exercise && exercise.stat === stat;
+  }).length;
+  const statsValues = [
+    { name: "Strength", value: stats.strength, workouts: countTraining('strength') },
+    { name: "Stamina", value: stats.stamina, workouts: countTraining('stamina') },
+    { name: "Agility", value: stats.agility, workouts: countTraining('agility') }
+  ];
+  
+  // Find weakest stat
+  const weakestStat = statsValues.reduce((a, b) => a.value < b.value ? a : b);
+  // Find stat with least recent workouts
+  const mostNeglectedStat = statsValues.reduce((a, b) => a.workouts < b.workouts ? a : b);
+  
+  // Workout library, grouped by the stat each exercise trains
+  const workoutLibrary = {
+    strength: EXERCISES.filter(ex => ex.stat === 'strength'),
+    stamina: EXERCISES.filter(ex => ex.stat === 'stamina'),
+    agility: EXERCISES.filter(ex => ex.stat === 'agility')
+  };
+  
+  // Calculate reps based on user level
+  const levelBonus = Math.floor(user.level / 2);
+  
+  // Build recommendations
+  const workoutRecommendations = [];
+  
+  // Recommendation 1: Target weakest stat
+  let focusKey = weakestStat.name.toLowerCase();
+  let exercises = workoutLibrary[focusKey] || workoutLibrary.strength;
+  // Exercises with history follow progressive overload; new ones start
+  // from the catalog target scaled by level
+  const recommendExercise = (ex, fallbackReps) => {
+    const suggestion = getOverloadSuggestion(ex, getExerciseWorkouts(user, ex.id));
+    return {
+      id: ex.id,
       name: ex.name,
-      reps: ex.baseReps + Math.floor(levelBonus * 0.7),
-      unit: ex.unit || "reps",
-      sets: 3,
+      reps: suggestion ? suggestion.reps : fallbackReps,
+      weight: suggestion ? suggestion.weight : 0,
+      unit: ex.unit,
+      sets: suggestion ? Math.max(suggestion.sets, 1) : 3,
+      progression: suggestion ? suggestion.reason : null,
       icon: ex.icon,
       description: ex.description
-    }));
-    
-    workoutRecommendations.push({
-      id: "variety",
-      name: `${mostNeglectedStat.name} Focus`,
-      exercises: varietyTarget,
-      reason: `You haven't done many ${mostNeglectedStat.name.toLowerCase()} exercises lately. Mix it up for a well-rounded character!`,
-      focus: varietyKey,
-      estimatedXp: Math.floor(55 + (user.level * 7))
-    });
-    
-    // Add motivational message
-    const lastWorkout = user.workouts[user.workouts.length - 1];
-    let motivationalMessage = "";
-    let lastWorkoutDays = 999;
-    
-    if (lastWorkout) {
-      lastWorkoutDays = Math.floor((new Date() - new Date(lastWorkout.date)) / (1000 * 60 * 60 * 24));
-    }
-    
-    if (lastWorkoutDays === 0) {
-      motivationalMessage = "🔥 Amazing workout today! Keep the momentum going!";
-    } else if (lastWorkoutDays === 1) {
-      motivationalMessage = "💪 Great consistency! Don't break your streak!";
-    } else if (lastWorkoutDays <= 3) {
-      motivationalMessage = "⚡ Time to get back in the gym! Your character is waiting!";
-    } else {
-      motivationalMessage = "🌟 Your character misses you! Time to level up!";
+    };
+  };
+  
+  let targetExercises = exercises.slice(0, 3).map(ex => recommendExercise(ex, ex.baseTarget + levelBonus));
+  
+  workoutRecommendations.push({
+    id: "target_weakness",
+    name: `${weakestStat.name} Booster`,
+    exercises: targetExercises,
+    reason: `Your ${weakestStat.name} (${weakestStat.value}) is your lowest stat. Building ${weakestStat.name.toLowerCase()} will make you stronger in battles!`,
+    focus: focusKey,
+    estimatedXp: Math.floor(50 + (user.level * 8) + (weakestStat.value < 10 ? 20 : 0))
+  });
+  
+  // Recommendation 2: Variety recommendation
+  let varietyKey = mostNeglectedStat.name.toLowerCase();
+  let varietyExercises = workoutLibrary[varietyKey] || workoutLibrary.strength;
+  let varietyTarget = varietyExercises.slice(0, 3).map(ex => recommendExercise(ex, ex.baseTarget + Math.floor(levelBonus * 0.7)));
+  
+  workoutRecommendations.push({
+    id: "variety",
+    name: `${mostNeglectedStat.name} Focus`,
+    exercises: varietyTarget,
+    reason: `You haven't done many ${mostNeglectedStat.name.toLowerCase()} exercises lately. Mix it up for a well-rounded character!`,
+    focus: varietyKey,
+    estimatedXp: Math.floor(55 + (user.level * 7))
+  });
+  
+  // Add motivational message
+  const lastWorkout = user.workouts[user.workouts.length - 1];
+  const workoutStreak = getStreak(user, 'workout');
+  let motivationalMessage = "";
+  let lastWorkoutDays = 999;
+  
+  if (lastWorkout) {
+    lastWorkoutDays = Math.floor((new Date() - new Date(lastWorkout.date)) / (1000 * 60 * 60 * 24));
+  }
+  
+  if (workoutStreak.activeToday && workoutStreak.current > 1) {
+    motivationalMessage = `🔥 ${workoutStreak.current}-day streak! Your XP is boosted x${getStreakMultiplier(workoutStreak.current)}!`;
+  } else if (workoutStreak.current > 0) {
+    motivationalMessage = `💪 Work out today to keep your ${workoutStreak.current}-day streak alive!`;
+  } else if (lastWorkoutDays === 0) {
+    motivationalMessage = "🔥 Amazing workout today! Keep the momentum going!";
+  } else if (lastWorkoutDays === 1) {
+    motivationalMessage = "💪 Great consistency! Don't break your streak!";
+  } else if (lastWorkoutDays <= 3) {
+    motivationalMessage = "⚡ Time to get back in the gym! Your character is waiting!";
+  } else {
+    motivationalMessage = "🌟 Your character misses you! Time to level up!";
+  }
+  
+  res.json({
+    success: true,
+    motivationalMessage,
+    recommendations: workoutRecommendations,
+    statsAnalysis: {
+      strength: stats.strength,
+      stamina: stats.stamina,
+      agility: stats.agility,
+      weakest: weakestStat.name,
+      mostNeglected: mostNeglectedStat.name,
+      workoutStreak: workoutStreak.current,
+      longestWorkoutStreak: workoutStreak.longest,
+      workoutsLast14Days: recentWorkouts.length,
+      daysSinceLastWorkout: lastWorkoutDays
     }
-    
-    res.json({
-      success: true,
-      motivationalMessage,
-      recommendations: workoutRecommendations,
-      statsAnalysis: {
-        strength: stats.strength,
-        stamina: stats.stamina,
-        agility: stats.agility,
-        weakest: weakestStat.name,
-        mostNeglected: mostNeglectedStat.name,
-        workoutStreak: recentWorkouts.length,
-        daysSinceLastWorkout: lastWorkoutDays
-      }
+  });
+  
+}));
+
+// ====== GROQ AI COACH ======
+// Coach AI remembers the conversation. Every turn is stored; the latest
+// unsummarized ones go to the model along with each new message, and once
+// more than `contextMessages` pile up the older ones are folded into a
+// recap that rides along in the system prompt.
+const COACH = {
+  contextMessages: 16,
+  // Turns left out of the recap when one is written
+  keepMessages: 8,
+  // Turns kept for the chat history
+  storedMessages: 200,
+  summaryChars: 1500
+};
+
+// Earlier turns to send before the new message
+function getCoachContext(conversation) {
+  if (!conversation) return [];
+  return conversation.messages
+    .filter(turn => !turn.summarized)
+    .slice(-COACH.contextMessages)
+    .map(({ role, content }) => ({ role, content }));
+}
+
+async function saveCoachTurn(user, message, reply, mode) {
+  const now = new Date();
+  const conversation = await CoachConversation.findOneAndUpdate(
+    { user: user._id },
+    {
+      $push: {
+        messages: {
+          $each: [
+            { role: 'user', content: message, createdAt: now },
+            { role: 'assistant', content: reply, mode, createdAt: now }
+          ],
+          $slice: -COACH.storedMessages
+        }
+      },
+      $set: { updatedAt: now }
+    },
+    { upsert: true, new: true }
+  );
+
+  const unsummarized = conversation.messages.filter(turn => !turn.summarized);
+  if (unsummarized.length > COACH.contextMessages) {
+    // The turn is already saved; a recap that fails is simply tried again next turn
+    summarizeCoachConversation(conversation, unsummarized.slice(0, -COACH.keepMessages))
+      .catch(err => console.error("Coach summary error:", err));
+  }
+}
+
+// Fold `turns` into the conversation's recap
+async function summarizeCoachConversation(conversation, turns) {
+  const transcript = turns.map(turn => `${turn.role === 'user' ? 'Hero' : 'Coach'}: ${turn.content}`).join('\n');
+
+  let summary;
+  if (llmProvider) {
+    const completion = await completeChat({
+      messages: [
+        {
+          role: "system",
+          content: "You keep notes for a fitness coach. Merge the earlier notes and the new conversation into one recap of under 150 words: the hero's goals, preferences and limitations, the plans and advice given, and anything they asked you to remember. Plain sentences, no preamble."
+        },
+        { role: "user", content: `Earlier notes:\n${conversation.summary || "(none)"}\n\nConversation:\n${transcript}` }
+      ],
+      temperature: 0.3,
+      maxTokens: 300
     });
-    
-  } catch (err) {
-    console.error("Recommendations error:", err);
-    res.status(500).json({ success: false, message: "Error generating recommendations" });
+    summary = completion.text.trim();
+  } else {
+    // Without a model, remember what the hero asked about
+    summary = [conversation.summary, ...turns.filter(turn => turn.role === 'user').map(turn => `Hero asked: ${turn.content}`)]
+      .filter(Boolean)
+      .join('\n');
   }
-});
 
-// ====== GROQ AI COACH ======
-app.post("/api/ai-coach", authenticateToken, async (req, res) => {
+  // Skipped if another recap got there first
+  await CoachConversation.updateOne(
+    { _id: conversation._id, summary: conversation.summary },
+    { $set: { summary: summary.slice(-COACH.summaryChars), 'messages.$[turn].summarized': true } },
+    { arrayFilters: [{ 'turn._id': { $in: turns.map(turn => turn._id) } }] }
+  );
+}
+
+// With `stream: true` the reply comes as Server-Sent Events: `token` events
+// ({ text }) as it is written, then a `done` event with the same body the
+// JSON response would have had. If the model fails partway through, an
+// `error` event ({ success: false, code, message }) ends the stream instead.
+function writeCoachEvent(res, type, data) {
+  if (!res.headersSent) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+  }
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendCoachReply(req, res, body) {
+  if (!req.body.stream) return res.json(body);
+  writeCoachEvent(res, 'done', body);
+  res.end();
+}
+
+app.post("/api/ai-coach", aiRateLimit, authenticateToken, aiAccountRateLimit, validate({
+  body: {
+    message: field.string({ required: true, max: 2000 }),
+    stream: field.boolean({ default: false })
+  }
+}), asyncHandler(async (req, res, next) => {
+  let quota = null;
+  // Stops the model when the client goes away. The request itself closes as
+  // soon as its body is read, so this listens on the response.
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) disconnect.abort();
+  });
   try {
     const { message } = req.body;
-    const user = await User.findOne({ email: req.user.email });
-    
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
+    const user = await requireUser(req);
+    quota = await useCoachQuota(user, res);
     
     // Get user stats for context
     const recentWorkouts = user.workouts.slice(-5).map(w => w.name).join(", ");
@@ -908,18 +7215,22 @@ app.post("/api/ai-coach", authenticateToken, async (req, res) => {
       lastWorkoutDays = lastWorkoutDays === 0 ? "today" : `${lastWorkoutDays} days ago`;
     }
     
-    const xpToNextLevel = (user.level * 100) - (user.xp % 100);
+    const { xpToNextLevel } = getLevelProgress(user);
     const weakestStat = user.stats.strength <= user.stats.stamina && user.stats.strength <= user.stats.agility ? "strength" :
                         user.stats.stamina <= user.stats.agility ? "stamina" : "agility";
+    const streaks = getStreakSummary(user);
+    const conversation = await CoachConversation.findOne({ user: user._id });
     
-    // Check if Groq is available
-    if (!groqClient) {
+    // Check if a model is available
+    if (!llmProvider) {
       // Smart fallback responses
-      const fallbackReply = generateFallbackResponse(message, user, weakestStat, xpToNextLevel);
-      return res.json({
+      const fallbackReply = generateFallbackResponse(message, user, weakestStat, xpToNextLevel, streaks);
+      await saveCoachTurn(user, message, fallbackReply, "fallback");
+      return sendCoachReply(req, res, {
         success: true,
         reply: fallbackReply,
-        mode: "fallback"
+        mode: "fallback",
+        quota
       });
     }
     
@@ -931,13 +7242,20 @@ PLAYER PROFILE:
 - Level: ${user.level}
 - XP to next level: ${xpToNextLevel}
 - Strength: ${user.stats.strength} (affects battle damage)
-- Stamina: ${user.stats.stamina} (affects endurance)
-- Agility: ${user.stats.agility} (affects dodge chance)
-- Health: ${user.stats.health}/100
+- Stamina: ${user.stats.stamina} (reduces battle damage taken, chance of a follow-up strike)
+- Agility: ${user.stats.agility} (affects dodge and critical hit chance)
+- Health: ${user.stats.health}/${MAX_HEALTH}
 - Gold: ${user.gold}
 - Recent Workouts: ${recentWorkouts || "No workouts yet"}
 - Last workout: ${lastWorkoutDays}
-
+- Workout streak: ${streaks.workout.current} days (best ${streaks.workout.longest})${streaks.workout.current > 0 && !streaks.workout.activeToday ? ", not trained yet today" : ""}
+- Hydration goal streak: ${streaks.hydration.current} days
+- Quest streak: ${streaks.quest.current} days
+- Streak freezes owned: ${streaks.freezes}
+${conversation && conversation.summary ? `
+EARLIER IN YOUR CONVERSATIONS:
+${conversation.summary}
+` : ""}
 RESPONSE GUIDELINES:
 1. Be encouraging and use their hero name (${user.heroName})
 2. Keep responses under 150 words
@@ -946,32 +7264,46 @@ RESPONSE GUIDELINES:
 5. Use emojis occasionally for personality
 6. If asked about their weakest stat (${weakestStat}), suggest specific exercises
 7. Keep tone friendly and motivational
+8. If they have an active streak they haven't extended today, encourage them to keep it going
+9. Follow-ups like "make that harder" refer to the conversation so far, so build on your earlier answers
 
 Respond as Coach AI:`;
 
-    // Call Groq API
-    const completion = await groqClient.chat.completions.create({
-      model: "llama-3.3-70b-versatile",  // Fastest model on Groq
+    const chat = {
       messages: [
         { role: "system", content: systemPrompt },
+        ...getCoachContext(conversation),
         { role: "user", content: message }
       ],
       temperature: 0.7,      // Creative but not random
-      max_tokens: 500,       // Keep responses concise
-      top_p: 0.9,
-    });
-
-    const reply = completion.choices[0].message.content;
+      maxTokens: 500,        // Keep responses concise
+      topP: 0.9,
+      signal: disconnect.signal
+    };
+    const { text: reply, cached } = req.body.stream
+      ? await streamChat(chat, text => writeCoachEvent(res, 'token', { text }))
+      : await completeChat(chat);
+    await saveCoachTurn(user, message, reply, llmProvider.name);
     
-    res.json({
+    sendCoachReply(req, res, {
       success: true,
       reply: reply,
-      mode: "groq",
-      model: "llama-3.3-70b"
+      mode: llmProvider.name,
+      model: llmProvider.model,
+      cached,
+      quota
     });
     
   } catch (err) {
-    console.error("Groq AI Coach error:", err);
+    if (err instanceof ApiError) return next(err);
+    if (err.cancelled) return res.end();
+    console.error("AI Coach error:", err);
+
+    // Part of a reply is already on screen, so a fallback can't follow it
+    if (res.headersSent) {
+      writeCoachEvent(res, 'error', { success: false, code: 'COACH_UNAVAILABLE', message: "Coach AI lost its train of thought. Please ask again", quota });
+      return res.end();
+    }
     
     // Get user for fallback
     let user = null;
@@ -984,20 +7316,56 @@ Respond as Coach AI:`;
        user.stats.stamina <= user.stats.agility ? "stamina" : "agility") : "strength";
     
     const fallbackReply = generateFallbackResponse(req.body.message, user, weakestStat, 0);
+    if (user) {
+      await saveCoachTurn(user, req.body.message, fallbackReply, "fallback")
+        .catch(e => console.error("Coach history error:", e));
+    }
     
-    res.json({
+    sendCoachReply(req, res, {
       success: true,
       reply: fallbackReply,
-      mode: "fallback"
+      mode: "fallback",
+      quota
     });
   }
-});
+}));
+
+// Coach chat history, oldest first
+app.get("/api/ai-coach/history", authenticateToken, validate({
+  query: { limit: field.integer({ min: 1, max: COACH.storedMessages, default: 50 }) }
+}), asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  const conversation = await CoachConversation.findOne({ user: user._id });
+  const messages = conversation ? conversation.messages.slice(-req.query.limit) : [];
+
+  res.json({
+    success: true,
+    messages: messages.map(({ _id, role, content, mode, createdAt }) => ({ id: _id, role, content, mode, createdAt })),
+    total: conversation ? conversation.messages.length : 0,
+    summary: conversation ? conversation.summary : ''
+  });
+}));
+
+// Forget the whole conversation, recap included
+app.delete("/api/ai-coach/history", authenticateToken, asyncHandler(async (req, res) => {
+  const user = await requireUser(req);
+  await CoachConversation.deleteOne({ user: user._id });
+  res.json({ success: true, message: "Coach history cleared" });
+}));
 
 // Helper function for fallback responses
-function generateFallbackResponse(message, user, weakestStat, xpToNextLevel) {
+function generateFallbackResponse(message, user, weakestStat, xpToNextLevel, streaks = null) {
   const lowerMsg = message.toLowerCase();
   const heroName = user?.heroName || "Champion";
   
+  if (lowerMsg.includes("streak") && streaks) {
+    const { current, longest, activeToday } = streaks.workout;
+    if (current === 0) {
+      return `No active workout streak yet, ${heroName} — log a workout today to start one! Every day you keep it going boosts your workout XP, and 7, 30 and 100 days earn big rewards. 🔥`;
+    }
+    return `You're on a ${current}-day workout streak, ${heroName} (best: ${longest})! ${activeToday ? "Today's done — see you tomorrow!" : "Log a workout today to keep it alive!"} You have ${streaks.freezes} streak freeze${streaks.freezes === 1 ? "" : "s"} for emergencies. 🔥`;
+  }
+  
   if (lowerMsg.includes("workout") || lowerMsg.includes("exercise")) {
     if (weakestStat === "strength") {
       return `Hey ${heroName}! Your strength (${user?.stats?.strength || 5}) needs some love. Try squats (3x12), push-ups (3x10), and lunges (3x10 each leg). Do these 3x a week and you'll see your strength go up! 💪`;
@@ -1009,7 +7377,7 @@ function generateFallbackResponse(message, user, weakestStat, xpToNextLevel) {
   }
   
   if (lowerMsg.includes("battle") || lowerMsg.includes("fight")) {
-    return `For battles, ${heroName}, your strength (${user?.stats?.strength || 5}) affects how much damage you deal. Do strength workouts to hit harder! Also, keep your health above 50 by buying potions in the shop. ⚔️`;
+    return `For battles, ${heroName}, your strength (${user?.stats?.strength || 5}) affects how much damage you deal, agility (${user?.stats?.agility || 5}) helps you dodge and land critical hits, and stamina (${user?.stats?.stamina || 5}) softens enemy blows. Keep your health above 50 by buying potions in the shop. ⚔️`;
   }
   
   if (lowerMsg.includes("level") || lowerMsg.includes("xp")) {
@@ -1030,13 +7398,55 @@ function generateFallbackResponse(message, user, weakestStat, xpToNextLevel) {
   return messages[Math.floor(Math.random() * messages.length)];
 }
 
-// ====== START SERVER ======
-app.listen(PORT, HOST, () => {
-  console.log(`🚀 FitQuest server running at http://${HOST}:${PORT}`);
-  console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🗄️  Database: ${MONGODB_URI.includes('localhost') ? 'Local' : 'Cloud'}`);
-  console.log(`🤖 AI Coach: ${groqClient ? 'Groq AI Active' : 'Fallback Mode'}`);
-  console.log(`❤️  Health check: http://${HOST}:${PORT}/health`);
+// ====== ERROR HANDLING ======
+app.use((req, res) => {
+  res.status(404).json({ code: 'ROUTE_NOT_FOUND', message: `No route for ${req.method} ${req.path}` });
 });
 
+// Anything a route throws or passes to next() ends up here. Unexpected
+// errors are logged and answered with a generic message, never the error
+// itself.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({ code: err.code, message: err.message, details: err.details });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ code: 'INVALID_JSON', message: "Request body is not valid JSON" });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ code: 'PAYLOAD_TOO_LARGE', message: "Request body is too large" });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ code: 'VALIDATION_FAILED', message: `${err.path} is not valid` });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(error => ({ field: error.path, message: error.message }));
+    return res.status(400).json({ code: 'VALIDATION_FAILED', message: details[0].message, details });
+  }
+  if (err instanceof mongoose.Error.VersionError) {
+    return res.status(409).json({ code: 'CONFLICT', message: "That changed while you were saving it. Please try again" });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ code: 'CONFLICT', message: "That already exists" });
+  }
+
+  console.error(`${req.method} ${req.path} error:`, err);
+  res.status(500).json({ code: 'INTERNAL_ERROR', message: "Server error" });
+});
+
+// ====== START SERVER ======
+if (isMainModule) {
+  app.listen(PORT, HOST, () => {
+    console.log(`🚀 FitQuest server running at http://${HOST}:${PORT}`);
+    console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🗄️  Database: ${MONGODB_URI.includes('localhost') ? 'Local' : 'Cloud'}`);
+    console.log(`🤖 AI Coach: ${llmProvider ? `${llmProvider.name} (${llmProvider.model})` : 'Fallback Mode'}`);
+    console.log(`❤️  Health check: http://${HOST}:${PORT}/health`);
+  });
+}
+
+export { app };
+
 
@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// Every test here signs in several times; rate limits have their own suite
+const api = await startServer({ RATE_LIMIT_AUTH: '200/15' });
+after(() => api.close());
+
+// The token in the newest email to `email` carrying a `?<param>=` link
+async function linkToken(email, param) {
+  const mail = (await api.readMail()).filter(message => message.to === email);
+  assert.ok(mail.length > 0, `no mail for ${email}`);
+  const match = mail[mail.length - 1].text.match(new RegExp(`^http://fitquest\\.test/login\\.html\\?${param}=(\\S+)$`, 'm'));
+  assert.ok(match, `no ${param} link in the mail`);
+  return decodeURIComponent(match[1]);
+}
+
+const login = (email, password) => api.request('POST', '/login', { body: { email, password } });
+
+test('registering sends a verification link that works once', async () => {
+  const hero = await api.createHero();
+  assert.equal((await login(hero.email, hero.password)).body.emailVerified, false);
+
+  const token = await linkToken(hero.email, 'verify');
+  const verified = await api.request('POST', '/auth/verify-email', { body: { token } });
+  assert.equal(verified.status, 200);
+  assert.equal((await login(hero.email, hero.password)).body.emailVerified, true);
+
+  const again = await api.request('POST', '/auth/verify-email', { body: { token } });
+  assert.equal(again.status, 400);
+});
+
+test('only the newest verification link works', async () => {
+  const hero = await api.createHero();
+  const first = await linkToken(hero.email, 'verify');
+
+  const resent = await api.request('POST', '/auth/resend-verification', { token: hero.token });
+  assert.equal(resent.status, 200);
+  const second = await linkToken(hero.email, 'verify');
+
+  assert.equal((await api.request('POST', '/auth/verify-email', { body: { token: first } })).status, 400);
+  assert.equal((await api.request('POST', '/auth/verify-email', { body: { token: second } })).status, 200);
+});
+
+test('a reset link sets a new password once and signs every browser out', async () => {
+  const hero = await api.createHero();
+
+  const requested = await api.request('POST', '/auth/forgot-password', { body: { email: hero.email } });
+  assert.equal(requested.status, 200);
+  const token = await linkToken(hero.email, 'reset');
+
+  const reset = await api.request('POST', '/auth/reset-password', { body: { token, password: 'a-brand-new-password' } });
+  assert.equal(reset.status, 200);
+  assert.equal((await api.request('GET', '/profile', { token: hero.token })).status, 401);
+
+  assert.equal((await login(hero.email, hero.password)).status, 400);
+  assert.equal((await login(hero.email, 'a-brand-new-password')).status, 200);
+
+  const again = await api.request('POST', '/auth/reset-password', { body: { token, password: 'yet-another-password' } });
+  assert.equal(again.status, 400);
+});
+
+test('a verification link cannot reset a password', async () => {
+  const hero = await api.createHero();
+  const token = await linkToken(hero.email, 'verify');
+
+  const reset = await api.request('POST', '/auth/reset-password', { body: { token, password: 'a-brand-new-password' } });
+  assert.equal(reset.status, 400);
+  assert.equal((await login(hero.email, hero.password)).status, 200);
+});
+
+test('asking to reset an unknown email looks the same and sends nothing', async () => {
+  const hero = await api.createHero();
+  const known = await api.request('POST', '/auth/forgot-password', { body: { email: hero.email } });
+  const sent = (await api.readMail()).length;
+
+  const unknown = await api.request('POST', '/auth/forgot-password', { body: { email: 'nobody@fitquest.test' } });
+  assert.equal(unknown.status, known.status);
+  assert.deepEqual(unknown.body, known.body);
+  assert.equal((await api.readMail()).length, sent);
+});
@@ -0,0 +1,112 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+after(() => api.close());
+
+async function startBattle(hero) {
+  const res = await api.request('POST', '/battle/start', { token: hero.token, body: {} });
+  assert.equal(res.status, 200);
+  return res.body.battle;
+}
+
+// Give the hero's open battle a known enemy and seed
+async function rigBattle(hero, fields) {
+  const user = await api.User.findOne({ email: hero.email });
+  Object.assign(user.battles[user.battles.length - 1], fields);
+  await user.save();
+}
+
+const attack = (hero, body) => api.request('POST', '/battle/attack', { token: hero.token, body });
+
+test('a battle plays out the same from the same seed', async () => {
+  const heroes = [await api.createHero(), await api.createHero()];
+  for (const hero of heroes) {
+    await startBattle(hero);
+    await rigBattle(hero, { enemyName: 'The Lazy Dragon', enemyHP: 50, enemyMaxHP: 50, enemyDamage: 8, seed: 'replay-me', round: 0 });
+  }
+
+  const rounds = [];
+  for (const hero of heroes) {
+    const first = await attack(hero, { reps: 10 });
+    const second = await attack(hero, { reps: 12, weight: 20 });
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    rounds.push([first.body, second.body].map(({ combatLog, damageDealt, damageTaken }) => ({ combatLog, damageDealt, damageTaken })));
+  }
+
+  assert.deepEqual(rounds[1], rounds[0]);
+});
+
+test('each round logs the hero and enemy turns', async () => {
+  const hero = await api.createHero();
+  await startBattle(hero);
+  await rigBattle(hero, { enemyName: 'The Lazy Dragon', enemyHP: 500, enemyMaxHP: 500, enemyDamage: 8 });
+
+  const res = await attack(hero, { reps: 10 });
+  assert.equal(res.status, 200);
+  const { combatLog } = res.body;
+
+  assert.equal(combatLog[0].actor, 'hero');
+  assert.equal(combatLog[combatLog.length - 1].actor, 'enemy');
+  for (const turn of combatLog) {
+    assert.equal(turn.round, 1);
+    assert.equal(typeof turn.message, 'string');
+    if (turn.dodged) assert.equal(turn.damage, 0);
+  }
+  const dealt = combatLog.filter(turn => turn.actor === 'hero').reduce((sum, turn) => sum + turn.damage, 0);
+  assert.equal(dealt, res.body.damageDealt);
+  assert.equal(res.body.battle.enemyHP, 500 - dealt);
+});
+
+test('stamina reduces the damage the enemy deals', async () => {
+  const hero = await api.createHero();
+  await api.User.updateOne({ email: hero.email }, { $set: { 'stats.stamina': 30 } });
+  await startBattle(hero);
+  await rigBattle(hero, { enemyName: 'The Lazy Dragon', enemyHP: 5000, enemyMaxHP: 5000, enemyDamage: 10 });
+
+  const hits = [];
+  for (let round = 0; round < 8; round++) {
+    const res = await attack(hero, { reps: 10 });
+    assert.equal(res.status, 200);
+    hits.push(...res.body.combatLog.filter(turn => turn.actor === 'enemy' && turn.damage > 0));
+  }
+
+  // 30% off a Tail Swipe (10) or Drowsy Breath (6)
+  assert.ok(hits.length > 0);
+  assert.ok(hits.every(turn => [7, 4].includes(turn.damage)), hits.map(turn => turn.damage).join(', '));
+});
+
+// Attack until the battle is over, returning the last response
+async function fightToTheEnd(hero) {
+  let res;
+  do {
+    res = await attack(hero, { reps: 10 });
+    assert.equal(res.status, 200);
+  } while (!res.body.battle.completed);
+  return res;
+}
+
+const battleActivities = async hero => {
+  const res = await api.request('GET', '/recent-activities', { token: hero.token });
+  assert.equal(res.status, 200);
+  return res.body.activities.filter(activity => activity.type === 'battle');
+};
+
+test('the activity feed shows the XP a battle actually paid', async () => {
+  const winner = await api.createHero();
+  await startBattle(winner);
+  await rigBattle(winner, { enemyHP: 1, enemyMaxHP: 1, reward: { xp: 123, gold: 10 } });
+  const won = await fightToTheEnd(winner);
+  assert.equal(won.body.battleResult.victory, true);
+  assert.deepEqual((await battleActivities(winner)).map(activity => activity.xp), [won.body.battleResult.reward.xp]);
+
+  const loser = await api.createHero();
+  await startBattle(loser);
+  await api.User.updateOne({ email: loser.email }, { $set: { 'stats.health': 1 } });
+  await rigBattle(loser, { enemyHP: 5000, enemyMaxHP: 5000, enemyDamage: 50 });
+  const lost = await fightToTheEnd(loser);
+  assert.equal(lost.body.battleResult.victory, false);
+  assert.deepEqual((await battleActivities(loser)).map(activity => activity.xp), [0]);
+});
@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer({ LLM_PROVIDER: 'stub' });
+after(() => api.close());
+
+const ask = (hero, message, stream = false) => api.request('POST', '/api/ai-coach', { token: hero.token, body: { message, stream } });
+
+// Server-Sent Events as [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+test('the coach answers through the configured provider', async () => {
+  const hero = await api.createHero();
+  const res = await ask(hero, 'How do I get stronger?');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.mode, 'stub');
+  assert.equal(res.body.model, 'stub');
+  assert.equal(res.body.cached, false);
+  assert.match(res.body.reply, /^\[stub [0-9a-f]{12}\] Coach reply to "How do I get stronger\?" after 0 earlier messages\.$/);
+});
+
+test('the conversation is saved and sent back with the next message', async () => {
+  const hero = await api.createHero();
+  const first = await ask(hero, 'Plan me a workout');
+  const second = await ask(hero, 'Make that harder');
+  assert.match(second.body.reply, /Coach reply to "Make that harder" after 2 earlier messages/);
+
+  const history = await api.request('GET', '/api/ai-coach/history', { token: hero.token });
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.messages.map(({ role, content, mode }) => ({ role, content, mode })), [
+    { role: 'user', content: 'Plan me a workout', mode: undefined },
+    { role: 'assistant', content: first.body.reply, mode: 'stub' },
+    { role: 'user', content: 'Make that harder', mode: undefined },
+    { role: 'assistant', content: second.body.reply, mode: 'stub' }
+  ]);
+});
+
+test('a streamed reply comes as tokens and then the full answer', async () => {
+  const hero = await api.createHero();
+  const res = await ask(hero, 'How do I get stronger?', true);
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('Content-Type'), /^text\/event-stream/);
+  const events = parseEvents(res.body);
+  const done = events.pop();
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.mode, 'stub');
+
+  assert.ok(events.length > 1);
+  assert.ok(events.every(({ event }) => event === 'token'));
+  assert.equal(events.map(({ data }) => data.text).join(''), done.data.reply);
+});
+
+test('the same question in the same context is answered from the cache', async () => {
+  const hero = await api.createHero();
+  const first = await ask(hero, 'What should I eat after training?');
+
+  // With the history gone the provider would be sent exactly the same thing
+  assert.equal((await api.request('DELETE', '/api/ai-coach/history', { token: hero.token })).status, 200);
+  const again = await ask(hero, 'What should I eat after training?');
+
+  assert.equal(again.body.cached, true);
+  assert.equal(again.body.reply, first.body.reply);
+});
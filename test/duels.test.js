@@ -0,0 +1,112 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { startServer } from './helpers/server.js';
+
+// Every test signs up two heroes
+const api = await startServer({ RATE_LIMIT_AUTH: '200/15' });
+after(() => api.close());
+const Duel = mongoose.model('Duel');
+
+// Two heroes who are friends, each with `gold`
+async function createRivals(gold) {
+  const heroes = [await api.createHero(), await api.createHero()];
+  const [first, second] = heroes;
+  await api.request('POST', '/friends/requests', { token: first.token, body: { heroName: second.heroName } });
+  const accepted = await api.request('POST', '/friends/requests', { token: second.token, body: { heroName: first.heroName } });
+  assert.equal(accepted.body.status, 'accepted');
+
+  for (const hero of heroes) {
+    const user = await api.User.findOne({ email: hero.email });
+    await api.User.updateOne({ _id: user._id }, { $set: { gold } });
+    hero.id = String(user._id);
+  }
+  return heroes;
+}
+
+const goldOf = async hero => (await api.User.findOne({ email: hero.email })).gold;
+
+const challenge = (challenger, opponent, wager) => api.request('POST', '/duels', {
+  token: challenger.token,
+  body: { opponentId: opponent.id, wager }
+});
+
+// Move a duel's deadlines into the past, as if its time ran out
+const runOutTheClock = duelId => Duel.updateOne({ _id: duelId }, {
+  $set: { respondBy: new Date(Date.now() - 1000), endsAt: new Date(Date.now() - 1000) }
+});
+
+test('the wager is held by the duel and handed back when it is declined', async () => {
+  const [challenger, opponent] = await createRivals(300);
+
+  const challenged = await challenge(challenger, opponent, 100);
+  assert.equal(challenged.status, 200);
+  assert.equal(await goldOf(challenger), 200);
+
+  const declined = await api.request('POST', `/duels/${challenged.body.duel.id}/decline`, { token: opponent.token });
+  assert.equal(declined.status, 200);
+  assert.equal(await goldOf(challenger), 300);
+  assert.equal(await goldOf(opponent), 300);
+});
+
+test('challenges made at the same time cannot wager more gold than the hero has', async () => {
+  const [challenger, opponent] = await createRivals(150);
+
+  const responses = await Promise.all([challenge(challenger, opponent, 100), challenge(challenger, opponent, 100)]);
+  assert.deepEqual(responses.map(res => res.status).sort(), [200, 400]);
+  assert.equal(await goldOf(challenger), 50);
+  assert.equal(await Duel.countDocuments({ 'challenger.user': challenger.id }), 1);
+});
+
+test('an unanswered challenge expires and refunds the wager', async () => {
+  const [challenger, opponent] = await createRivals(300);
+  const challenged = await challenge(challenger, opponent, 100);
+  await runOutTheClock(challenged.body.duel.id);
+
+  // Either hero looking at their duels settles it
+  const duels = await api.request('GET', '/duels', { token: opponent.token });
+  assert.equal(duels.body.duels[0].status, 'expired');
+  assert.equal(await goldOf(challenger), 300);
+});
+
+test('the winner takes both wagers', async () => {
+  const [challenger, opponent] = await createRivals(300);
+  const challenged = await challenge(challenger, opponent, 100);
+  const accepted = await api.request('POST', `/duels/${challenged.body.duel.id}/accept`, { token: opponent.token });
+  assert.equal(accepted.status, 200);
+  assert.equal(await goldOf(opponent), 200);
+
+  // Only the challenger shows up, so the opponent forfeits when time runs out
+  const logged = await api.request('POST', '/log-workout', { token: challenger.token, body: { exerciseId: 'squats', reps: 20 } });
+  assert.equal(logged.body.duels.length, 1);
+  // The workout pays its own rewards, so the payout is measured from here
+  const goldBefore = await goldOf(challenger);
+  await runOutTheClock(challenged.body.duel.id);
+
+  // Both heroes looking at once still settles it only once
+  const [duel] = await Promise.all([challenger, opponent].map(hero =>
+    api.request('GET', `/duels/${challenged.body.duel.id}`, { token: hero.token })));
+  assert.equal(duel.body.duel.status, 'completed');
+  assert.equal(duel.body.duel.outcome, 'forfeit');
+  assert.equal(duel.body.duel.won, true);
+  assert.equal(await goldOf(challenger), goldBefore + 200);
+  assert.equal(await goldOf(opponent), 200);
+
+  const [won] = (await api.User.findOne({ email: challenger.email })).duelHistory;
+  const [lost] = (await api.User.findOne({ email: opponent.email })).duelHistory;
+  assert.deepEqual([won.result, won.goldChange], ['win', 100]);
+  assert.deepEqual([lost.result, lost.goldChange], ['loss', -100]);
+});
+
+test('a draw gives each hero their wager back', async () => {
+  const [challenger, opponent] = await createRivals(300);
+  const challenged = await challenge(challenger, opponent, 100);
+  await api.request('POST', `/duels/${challenged.body.duel.id}/accept`, { token: opponent.token });
+
+  // Nobody attacks
+  await runOutTheClock(challenged.body.duel.id);
+  const duel = await api.request('GET', `/duels/${challenged.body.duel.id}`, { token: opponent.token });
+  assert.equal(duel.body.duel.outcome, 'draw');
+  assert.equal(await goldOf(challenger), 300);
+  assert.equal(await goldOf(opponent), 300);
+});
@@ -0,0 +1,293 @@
+// Just enough of the MongoDB driver for the models in server.js, held in
+// memory so the suite runs without a database. Filters, updates and
+// pipelines are evaluated by mingo; unique indexes are read off the schemas.
+import mongoose from 'mongoose';
+import { Aggregator, Query, update as applyUpdate } from 'mingo';
+
+const { ObjectId } = mongoose.Types;
+
+// Stored documents never share objects with what Mongoose hands over.
+// Subdocuments are serialized the way the driver would, through toBSON.
+function clone(value) {
+  if (Array.isArray(value)) return Array.from(value, clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof ObjectId) return value;
+  if (value && typeof value.toBSON === 'function') return clone(value.toBSON());
+  if (value && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function project(docs, projection) {
+  if (!projection || Object.keys(projection).length === 0) return docs;
+  return new Query({}).find(docs, projection).all();
+}
+
+function sortDocs(docs, sort) {
+  if (!sort || Object.keys(sort).length === 0) return docs;
+  return new Query({}).find(docs).sort(sort).all();
+}
+
+// Rewrite positional `$` paths to the index of the first array element the
+// filter matched, as MongoDB does
+const POSITIONAL = /\.\$(?=\.|$)/;
+
+function resolvePositional(doc, filter, modifier) {
+  return Object.fromEntries(Object.entries(modifier).map(([op, fields]) => [op, Object.fromEntries(
+    Object.entries(fields).map(([path, value]) => {
+      if (!POSITIONAL.test(path)) return [path, value];
+      const arrayPath = path.slice(0, path.search(POSITIONAL));
+      const conditions = Object.fromEntries(Object.entries(filter)
+        .filter(([key]) => key === arrayPath || key.startsWith(`${arrayPath}.`)));
+      const query = new Query(conditions);
+      const wrap = element => arrayPath.split('.').reduceRight((inner, key) => ({ [key]: inner }), [element]);
+      const index = (getPath(doc, arrayPath) || []).findIndex(element => query.test(wrap(element)));
+      if (index === -1) throw new Error(`The positional operator did not find the match needed from the query: ${path}`);
+      return [path.replace(POSITIONAL, `.${index}`), value];
+    })
+  )]));
+}
+
+function duplicateKeyError(collection, keyValue) {
+  return Object.assign(new Error(`E11000 duplicate key error collection: ${collection} dup key: ${JSON.stringify(keyValue)}`), {
+    name: 'MongoServerError',
+    code: 11000,
+    keyValue
+  });
+}
+
+class FakeCursor {
+  constructor(load, options = {}) {
+    this.load = load;
+    this.options = { ...options };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    const { sort, skip = 0, limit = 0, projection } = this.options;
+    const docs = sortDocs(this.load(), sort).slice(skip, limit ? skip + limit : undefined);
+    return project(docs, projection).map(clone);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+
+  async close() {}
+}
+
+class FakeCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+  }
+
+  match(filter = {}) {
+    return new Query(filter).find(this.docs).all();
+  }
+
+  // Fields of every unique index on the model stored here
+  uniqueIndexes() {
+    const model = Object.values(mongoose.connection.models).find(entry => entry.collection.collectionName === this.collectionName);
+    if (!model) return [];
+    return model.schema.indexes().filter(([, options]) => options && options.unique).map(([fields]) => Object.keys(fields));
+  }
+
+  checkUnique(doc) {
+    for (const fields of this.uniqueIndexes()) {
+      const values = fields.map(field => getPath(doc, field));
+      if (values.some(value => value == null)) continue;
+      const clash = this.docs.find(other => String(other._id) !== String(doc._id) &&
+        fields.every((field, index) => String(getPath(other, field)) === String(values[index])));
+      if (clash) throw duplicateKeyError(this.collectionName, Object.fromEntries(fields.map((field, index) => [field, values[index]])));
+    }
+  }
+
+  // Apply `update` to a copy, so a failed unique check leaves the stored document alone
+  modify(doc, filter, update, options = {}) {
+    const { $setOnInsert, ...modifier } = update;
+    const next = clone(doc);
+    const changed = applyUpdate(next, resolvePositional(doc, filter, clone(modifier)), options.arrayFilters, undefined, { cloneMode: 'none' });
+    if (changed.length === 0) return false;
+    this.checkUnique(next);
+    this.docs[this.docs.indexOf(doc)] = next;
+    return next;
+  }
+
+  // The document an upsert creates: the filter's plain equalities, then the update
+  upsertDoc(filter, update, options = {}) {
+    const doc = {};
+    for (const [path, value] of Object.entries(filter)) {
+      if (path.startsWith('$')) continue;
+      const isOperator = value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date) &&
+        Object.keys(value).some(key => key.startsWith('$'));
+      if (!isOperator) applyUpdate(doc, { $set: { [path]: clone(value) } });
+      else if ('$eq' in value) applyUpdate(doc, { $set: { [path]: clone(value.$eq) } });
+    }
+    const { $setOnInsert, ...modifier } = update;
+    if (Object.keys(modifier).length > 0) applyUpdate(doc, clone(modifier), options.arrayFilters, undefined, { cloneMode: 'none' });
+    if ($setOnInsert) applyUpdate(doc, { $set: clone($setOnInsert) });
+    if (doc._id == null) doc._id = new ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (stored._id == null) stored._id = new ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = sortDocs(this.match(filter), options.sort);
+    return doc ? clone(project([doc], options.projection)[0]) : null;
+  }
+
+  find(filter, options = {}) {
+    return new FakeCursor(() => this.match(filter), options);
+  }
+
+  async countDocuments(filter, options = {}) {
+    const count = this.match(filter).length - (options.skip || 0);
+    return Math.max(options.limit ? Math.min(count, options.limit) : count, 0);
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = sortDocs(this.match(filter), options.sort);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const created = this.upsertDoc(filter, update, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+    }
+    const modified = this.modify(doc, filter, update, options);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.match(filter);
+    if (docs.length === 0 && options.upsert) return this.updateOne(filter, update, options);
+    let modifiedCount = 0;
+    for (const doc of docs) {
+      if (this.modify(doc, filter, update, options)) modifiedCount += 1;
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const [doc] = this.match(filter);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const { insertedId } = await this.insertOne(replacement);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+    }
+    const next = { ...clone(replacement), _id: doc._id };
+    this.checkUnique(next);
+    this.docs[this.docs.indexOf(doc)] = next;
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const returnNew = options.returnDocument === 'after' || options.returnOriginal === false;
+    const [doc] = sortDocs(this.match(filter), options.sort);
+    let value = null;
+    if (doc) {
+      const modified = this.modify(doc, filter, update, options);
+      value = returnNew ? (modified || doc) : doc;
+    } else if (options.upsert) {
+      const created = this.upsertDoc(filter, update, options);
+      value = returnNew ? created : null;
+    }
+    value = value && clone(project([value], options.projection)[0]);
+    return options.includeResultMetadata === false ? value : { ok: 1, value, lastErrorObject: { n: doc || options.upsert ? 1 : 0, updatedExisting: Boolean(doc) } };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = sortDocs(this.match(filter), options.sort);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    const value = doc ? clone(project([doc], options.projection)[0]) : null;
+    return options.includeResultMetadata === false ? value : { ok: 1, value };
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.match(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const matched = new Set(this.match(filter));
+    this.docs = this.docs.filter(doc => !matched.has(doc));
+    return { acknowledged: true, deletedCount: matched.size };
+  }
+
+  aggregate(pipeline) {
+    return new FakeCursor(() => new Aggregator(pipeline).run(this.docs));
+  }
+
+  async createIndex() {
+    return 'fake_index';
+  }
+
+  async createIndexes() {
+    return [];
+  }
+
+  async dropIndexes() {}
+}
+
+/**
+ * An in-memory `db` for mongoose.connection. `collections` exposes the
+ * stored documents so tests can inspect or rewrite them directly.
+ */
+export function createFakeDb() {
+  const collections = new Map();
+  return {
+    collections,
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new FakeCollection(name));
+      return collections.get(name);
+    },
+    async listCollections() {
+      return { toArray: async () => [...collections.keys()].map(name => ({ name })) };
+    }
+  };
+}
@@ -0,0 +1,81 @@
+// Boots server.js on the in-memory database, listening on a free port.
+// server.js reads its configuration when it is imported, so each test file
+// runs in its own process and passes any settings it needs to startServer.
+import { once } from 'events';
+import { mkdtemp, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import mongoose from 'mongoose';
+import { createFakeDb } from './fake-db.js';
+
+export async function startServer(env = {}) {
+  const mailDir = await mkdtemp(join(tmpdir(), 'fitquest-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    JWT_SECRET: 'fitquest-test-secret',
+    LLM_PROVIDER: 'none',
+    MAIL_TRANSPORT: 'file',
+    MAIL_FILE: join(mailDir, 'mail.jsonl'),
+    APP_URL: 'http://fitquest.test',
+    ...env
+  });
+
+  mongoose.set('autoIndex', false);
+  mongoose.set('autoCreate', false);
+  const db = createFakeDb();
+  mongoose.connection.db = db;
+  mongoose.connection.onOpen();
+
+  const { app } = await import('../../server.js');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON in and out; `token` signs the request in
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let data = text;
+    if ((res.headers.get('Content-Type') || '').includes('application/json')) data = JSON.parse(text);
+    return { status: res.status, headers: res.headers, body: data };
+  }
+
+  // Every email sent so far, oldest first
+  async function readMail() {
+    const text = await readFile(process.env.MAIL_FILE, 'utf8').catch(() => '');
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  // A fresh account, signed in
+  let heroCount = 0;
+  async function createHero(fields = {}) {
+    heroCount += 1;
+    const account = {
+      email: `hero${heroCount}@fitquest.test`,
+      password: 'correct-horse-battery',
+      heroName: `Hero ${heroCount}`,
+      ...fields
+    };
+    const registered = await request('POST', '/register', { body: account });
+    if (registered.status !== 200) throw new Error(`Registration failed: ${JSON.stringify(registered.body)}`);
+    const login = await request('POST', '/login', { body: { email: account.email, password: account.password } });
+    if (login.status !== 200) throw new Error(`Login failed: ${JSON.stringify(login.body)}`);
+    return { ...account, token: login.body.token };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    server.close();
+    await once(server, 'close');
+  }
+
+  return { baseUrl, db, request, readMail, createHero, close, User: mongoose.model('User') };
+}
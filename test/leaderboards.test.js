@@ -0,0 +1,52 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+after(() => api.close());
+
+const board = async (hero, name) => {
+  const res = await api.request('GET', `/leaderboards/${name}?scope=friends`, { token: hero.token });
+  assert.equal(res.status, 200);
+  return res.body;
+};
+
+test('workout volume is counted set by set as workouts are logged, edited and deleted', async () => {
+  const hero = await api.createHero();
+  const logged = await api.request('POST', '/log-workout', { token: hero.token, body: { exerciseId: 'squats', reps: 10, weight: 100, sets: 2 } });
+  assert.equal(logged.status, 200);
+  assert.equal((await board(hero, 'volume')).you.score, 2000);
+
+  const [workout] = (await api.User.findOne({ email: hero.email })).workouts;
+  const edited = await api.request('PATCH', `/workouts/${workout._id}`, {
+    token: hero.token,
+    body: { setDetails: [{ reps: 10, weight: 100 }, { reps: 10, weight: 50 }] }
+  });
+  assert.equal(edited.status, 200);
+  const { entries, you } = await board(hero, 'volume');
+  assert.deepEqual({ score: you.score, rank: you.rank }, { score: 1500, rank: 1 });
+  assert.deepEqual(entries.map(entry => entry.score), [1500]);
+
+  assert.equal((await api.request('DELETE', `/workouts/${workout._id}`, { token: hero.token })).status, 200);
+  const emptied = await board(hero, 'volume');
+  assert.deepEqual(emptied.entries, []);
+  assert.deepEqual({ score: emptied.you.score, rank: emptied.you.rank }, { score: 0, rank: null });
+});
+
+test('battles won are counted when the enemy falls', async () => {
+  const hero = await api.createHero();
+  assert.equal((await api.request('POST', '/battle/start', { token: hero.token, body: {} })).status, 200);
+  const user = await api.User.findOne({ email: hero.email });
+  Object.assign(user.battles[user.battles.length - 1], { enemyHP: 1, enemyMaxHP: 1 });
+  await user.save();
+
+  // The enemy may dodge a swing or two
+  let battle;
+  do {
+    const attack = await api.request('POST', '/battle/attack', { token: hero.token, body: { reps: 10 } });
+    assert.equal(attack.status, 200);
+    battle = attack.body.battle;
+  } while (!battle.completed);
+  assert.equal(battle.victory, true);
+  assert.equal((await board(hero, 'battles_won')).you.score, 1);
+});
@@ -0,0 +1,107 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+after(() => api.close());
+
+const localDay = (timeZone, date = new Date()) => new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+const onBoard = (quests, board) => quests.filter(quest => quest.board === board);
+
+async function getQuests(hero) {
+  const res = await api.request('GET', '/quests', { token: hero.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  return res.body.quests;
+}
+
+test('a new hero is dealt a daily and a weekly board for their local day', async () => {
+  const hero = await api.createHero({ timezone: 'Pacific/Kiritimati' });
+  const quests = await getQuests(hero);
+
+  const daily = onBoard(quests, 'daily');
+  assert.equal(daily.length, 3);
+  assert.equal(onBoard(quests, 'weekly').length, 2);
+  assert.ok(daily.every(quest => quest.periodKey === localDay('Pacific/Kiritimati')));
+  assert.ok(daily.every(quest => new Date(quest.expiresAt) > new Date()));
+});
+
+test('the board stays the same within a period', async () => {
+  const hero = await api.createHero();
+  const first = await getQuests(hero);
+  const second = await getQuests(hero);
+
+  assert.deepEqual(second.map(quest => quest._id), first.map(quest => quest._id));
+});
+
+test('a board is generated the same way from the same hero and period', async () => {
+  const hero = await api.createHero();
+  const first = await getQuests(hero);
+
+  await api.User.updateOne({ email: hero.email }, { $set: { activeQuests: [] } });
+  const dealtAgain = await getQuests(hero);
+
+  const describe = quests => quests.map(({ templateId, requirement, reward, periodKey }) => ({ templateId, requirement, reward, periodKey }));
+  assert.deepEqual(describe(dealtAgain), describe(first));
+});
+
+test('rewards and requirements scale with level', async () => {
+  const hero = await api.createHero();
+  const atLevelOne = onBoard(await getQuests(hero), 'daily');
+
+  await api.User.updateOne({ email: hero.email }, { $set: { level: 11, activeQuests: [] } });
+  const atLevelEleven = onBoard(await getQuests(hero), 'daily');
+
+  assert.deepEqual(atLevelEleven.map(quest => quest.templateId), atLevelOne.map(quest => quest.templateId));
+  atLevelEleven.forEach((quest, index) => {
+    assert.equal(quest.reward.xp, Math.round(atLevelOne[index].reward.xp * 2));
+    assert.ok(quest.requirement >= atLevelOne[index].requirement);
+  });
+});
+
+test('an expired board is archived and a new one dealt', async () => {
+  const hero = await api.createHero();
+  const today = await getQuests(hero);
+  const oldDaily = onBoard(today, 'daily');
+
+  // Move the daily board back a day, as if it were dealt yesterday
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const user = await api.User.findOne({ email: hero.email });
+  for (const quest of user.activeQuests.filter(quest => quest.board === 'daily')) {
+    quest.periodKey = localDay('UTC', yesterday);
+    quest.acceptedAt = new Date(quest.acceptedAt.getTime() - 24 * 60 * 60 * 1000);
+    quest.expiresAt = new Date(quest.expiresAt.getTime() - 24 * 60 * 60 * 1000);
+  }
+  await user.save();
+
+  const quests = await getQuests(hero);
+  const newDaily = onBoard(quests, 'daily');
+  assert.equal(newDaily.length, 3);
+  assert.ok(newDaily.every(quest => quest.periodKey === localDay('UTC')));
+  assert.ok(newDaily.every(quest => !oldDaily.some(old => old._id === quest._id)));
+  assert.deepEqual(onBoard(quests, 'weekly').map(quest => quest._id), onBoard(today, 'weekly').map(quest => quest._id));
+
+  const archived = (await api.User.findOne({ email: hero.email })).archivedQuests;
+  assert.deepEqual(archived.map(quest => String(quest._id)).sort(), oldDaily.map(quest => quest._id).sort());
+  assert.ok(archived.every(quest => quest.status === 'expired'));
+});
+
+test('volume quests count weight set by set', async () => {
+  const hero = await api.createHero();
+  await getQuests(hero);
+  const user = await api.User.findOne({ email: hero.email });
+  const quest = user.activeQuests.find(entry => entry.board === 'daily');
+  quest.requirement = 100000;
+  quest.tracking = { metric: 'volume', window: 'quest' };
+  await user.save();
+
+  await api.request('POST', '/log-workout', { token: hero.token, body: { exerciseId: 'squats', reps: 10, weight: 100 } });
+  const [workout] = (await api.User.findOne({ email: hero.email })).workouts;
+  await api.request('PATCH', `/workouts/${workout._id}`, {
+    token: hero.token,
+    body: { setDetails: [{ reps: 10, weight: 100 }, { reps: 10, weight: 50 }] }
+  });
+
+  const res = await api.request('GET', '/quests/progress', { token: hero.token });
+  assert.equal(res.body.quests.find(entry => entry._id === String(quest._id)).current, 1500);
+});
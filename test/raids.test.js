@@ -0,0 +1,58 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+after(() => api.close());
+
+// A guild of `size` heroes, the first its leader
+async function createGuild(size) {
+  const heroes = [];
+  for (let index = 0; index < size; index++) heroes.push(await api.createHero());
+  const [leader, ...members] = heroes;
+
+  const founded = await api.request('POST', '/guilds', { token: leader.token, body: { name: `Guild of ${leader.heroName}` } });
+  assert.equal(founded.status, 200);
+  for (const member of members) {
+    const joined = await api.request('POST', '/guilds/join', { token: member.token, body: { inviteCode: founded.body.guild.inviteCode } });
+    assert.equal(joined.status, 200);
+  }
+  return heroes;
+}
+
+const logSquats = hero => api.request('POST', '/log-workout', { token: hero.token, body: { exerciseId: 'squats', reps: 20 } });
+
+test('hits landing at the same time all count against the raid', async () => {
+  const heroes = await createGuild(3);
+  const started = await api.request('POST', '/guilds/raid/start', { token: heroes[0].token, body: { bossId: 'lazy_dragon_raid' } });
+  assert.equal(started.status, 200);
+  const { maxHP } = started.body.raid;
+
+  // The first round races to add each hero's contribution, the second to increment it
+  const hits = [];
+  for (let round = 0; round < 2; round++) {
+    const responses = await Promise.all(heroes.map(logSquats));
+    for (const [index, res] of responses.entries()) {
+      assert.equal(res.status, 200);
+      assert.ok(res.body.raid.damage > 0);
+      hits.push({ hero: index, damage: res.body.raid.damage });
+    }
+  }
+
+  const res = await api.request('GET', '/guilds/raid', { token: heroes[0].token });
+  const totalDamage = hits.reduce((sum, hit) => sum + hit.damage, 0);
+  assert.equal(res.body.raid.hp, maxHP - totalDamage);
+
+  const contributions = await api.request('GET', `/guilds/raids/${started.body.raid.id}/contributions`, { token: heroes[0].token });
+  assert.equal(contributions.status, 200);
+  // Contributions are listed by damage, and every hero dealt the same
+  const byHero = (a, b) => a.heroName.localeCompare(b.heroName);
+  assert.deepEqual(
+    contributions.body.contributions.map(({ heroName, damage, hits }) => ({ heroName, damage, hits })).sort(byHero),
+    heroes.map((hero, index) => ({
+      heroName: hero.heroName,
+      damage: hits.filter(hit => hit.hero === index).reduce((sum, hit) => sum + hit.damage, 0),
+      hits: 2
+    }))
+  );
+});
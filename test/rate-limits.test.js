@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// Behind one proxy hop, so each test can sign in from its own address
+const api = await startServer({
+  TRUST_PROXY: '1',
+  RATE_LIMIT_AUTH: '8/15',
+  LOGIN_LOCKOUT_ATTEMPTS: '3',
+  AI_COACH_DAILY_MESSAGES: '2'
+});
+after(() => api.close());
+
+const loginFrom = (ip, email, password) => api.request('POST', '/login', {
+  body: { email, password },
+  headers: { 'X-Forwarded-For': ip }
+});
+
+test('auth endpoints are limited per IP', async () => {
+  for (let attempt = 1; attempt <= 8; attempt++) {
+    const res = await loginFrom('203.0.113.1', `nobody${attempt}@fitquest.test`, 'wrong-password');
+    assert.equal(res.status, 400);
+    assert.equal(res.headers.get('RateLimit-Remaining'), String(8 - attempt));
+  }
+
+  const limited = await loginFrom('203.0.113.1', 'nobody9@fitquest.test', 'wrong-password');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.ok(Number(limited.headers.get('Retry-After')) > 14 * 60);
+
+  assert.equal((await loginFrom('203.0.113.2', 'nobody9@fitquest.test', 'wrong-password')).status, 400);
+});
+
+test('a wrong password and an unknown email fail the same way', async () => {
+  const hero = await api.createHero();
+  const wrongPassword = await loginFrom('203.0.113.3', hero.email, 'wrong-password');
+  const unknownEmail = await loginFrom('203.0.113.3', 'nobody@fitquest.test', 'wrong-password');
+
+  assert.equal(wrongPassword.status, 400);
+  assert.deepEqual(wrongPassword.body, unknownEmail.body);
+  assert.deepEqual(wrongPassword.body, { success: false, code: 'INVALID_CREDENTIALS', message: 'Invalid email or password', attemptsLeft: 2 });
+});
+
+test('repeated failures lock the account for that IP only', async () => {
+  const hero = await api.createHero();
+  assert.equal((await loginFrom('203.0.113.4', hero.email, 'wrong-password')).body.attemptsLeft, 2);
+  assert.equal((await loginFrom('203.0.113.4', hero.email, 'wrong-password')).body.attemptsLeft, 1);
+
+  const locked = await loginFrom('203.0.113.4', hero.email, 'wrong-password');
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+  assert.equal(locked.headers.get('Retry-After'), '60');
+
+  // Even the right password waits out the lock from there
+  assert.equal((await loginFrom('203.0.113.4', hero.email, hero.password)).status, 429);
+  assert.equal((await loginFrom('203.0.113.5', hero.email, hero.password)).status, 200);
+});
+
+test('signing in clears earlier failures', async () => {
+  const hero = await api.createHero();
+  await loginFrom('203.0.113.6', hero.email, 'wrong-password');
+  await loginFrom('203.0.113.6', hero.email, 'wrong-password');
+  assert.equal((await loginFrom('203.0.113.6', hero.email, hero.password)).status, 200);
+
+  assert.equal((await loginFrom('203.0.113.6', hero.email, 'wrong-password')).body.attemptsLeft, 2);
+});
+
+test('the coach answers a set number of messages a day', async () => {
+  const hero = await api.createHero();
+  const ask = () => api.request('POST', '/api/ai-coach', { token: hero.token, body: { message: 'How do I get stronger?' } });
+
+  const first = await ask();
+  assert.equal(first.status, 200);
+  const { resetsAt, ...quota } = first.body.quota;
+  assert.deepEqual(quota, { limit: 2, used: 1, remaining: 1 });
+  assert.equal((await ask()).body.quota.remaining, 0);
+
+  const refused = await ask();
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.code, 'AI_QUOTA_EXCEEDED');
+  // Until the hero's local midnight
+  const untilReset = (new Date(resetsAt) - Date.now()) / 1000;
+  assert.ok(Math.abs(Number(refused.headers.get('Retry-After')) - untilReset) <= 1);
+});
@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { startServer } from './helpers/server.js';
+
+// Every test signs in twice
+const api = await startServer({ RATE_LIMIT_AUTH: '200/15' });
+after(() => api.close());
+const AuthSession = mongoose.model('AuthSession');
+
+// The refresh cookie a response set, as `name=value`
+const refreshCookie = res => (res.headers.get('Set-Cookie') || '').split(';')[0];
+
+// A hero signed in from a browser that holds their refresh cookie
+async function signIn() {
+  const hero = await api.createHero();
+  const login = await api.request('POST', '/login', { body: { email: hero.email, password: hero.password } });
+  assert.equal(login.status, 200);
+  return { ...hero, token: login.body.token, cookie: refreshCookie(login) };
+}
+
+const refresh = cookie => api.request('POST', '/auth/refresh', { headers: { Cookie: cookie } });
+const profile = token => api.request('GET', '/profile', { token });
+
+test('refreshing rotates the refresh token and issues a working access token', async () => {
+  const hero = await signIn();
+  const refreshed = await refresh(hero.cookie);
+
+  assert.equal(refreshed.status, 200);
+  assert.match(refreshCookie(refreshed), /^fitquest_refresh=/);
+  assert.notEqual(refreshCookie(refreshed), hero.cookie);
+  assert.equal((await profile(refreshed.body.token)).status, 200);
+  assert.equal((await refresh(refreshCookie(refreshed))).status, 200);
+});
+
+test('another tab refreshing with the token just rotated is let through', async () => {
+  const hero = await signIn();
+  const rotated = refreshCookie(await refresh(hero.cookie));
+
+  const otherTab = await refresh(hero.cookie);
+  assert.equal(otherTab.status, 200);
+  assert.equal(refreshCookie(otherTab), '');
+  assert.equal((await refresh(rotated)).status, 200);
+});
+
+test('replaying a rotated token after the grace period ends the session', async () => {
+  const hero = await signIn();
+  const refreshed = await refresh(hero.cookie);
+  const rotated = refreshCookie(refreshed);
+
+  // As if the token was rotated a minute ago
+  const [sessionId] = decodeURIComponent(rotated.split('=')[1]).split('.');
+  await AuthSession.updateOne({ _id: sessionId }, { $set: { lastUsedAt: new Date(Date.now() - 60 * 1000) } });
+
+  const replayed = await refresh(hero.cookie);
+  assert.equal(replayed.status, 401);
+  assert.equal(replayed.body.code, 'REFRESH_TOKEN_REUSED');
+  assert.equal((await AuthSession.findById(sessionId)).revokedReason, 'refresh_token_reused');
+
+  // Whoever held the current token is signed out too
+  assert.equal((await refresh(rotated)).body.code, 'SESSION_ENDED');
+  assert.equal((await profile(refreshed.body.token)).status, 401);
+});
+
+test('a token that was never issued is refused without ending the session', async () => {
+  const hero = await signIn();
+  const [sessionId] = decodeURIComponent(hero.cookie.split('=')[1]).split('.');
+
+  const forged = await refresh(`fitquest_refresh=${sessionId}.not-the-secret`);
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.code, 'REFRESH_TOKEN_INVALID');
+  assert.equal((await refresh(hero.cookie)).status, 200);
+});
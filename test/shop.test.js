@@ -0,0 +1,67 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+after(() => api.close());
+
+const buy = (hero, itemId, quantity = 1) => api.request('POST', '/shop/buy', { token: hero.token, body: { itemId, quantity } });
+
+const stackOf = async (hero, itemId) => {
+  const user = await api.User.findOne({ email: hero.email });
+  const stack = user.inventory.find(entry => entry.item === itemId);
+  return { gold: user.gold, quantity: stack ? stack.quantity : 0 };
+};
+
+test('purchases made at the same time never spend more gold than the hero has', async () => {
+  const hero = await api.createHero();
+  await api.User.updateOne({ email: hero.email }, { $set: { gold: 100, inventory: [] } });
+
+  // Health potions cost 30, so only three of five fit in the purse
+  const responses = await Promise.all(Array.from({ length: 5 }, () => buy(hero, 'health_potion')));
+  assert.deepEqual(responses.map(res => res.status).sort(), [200, 200, 200, 400, 400]);
+  assert.ok(responses.filter(res => res.status === 400).every(res => res.body.message === 'Not enough gold! Need 30 gold.'));
+
+  assert.deepEqual(await stackOf(hero, 'health_potion'), { gold: 10, quantity: 3 });
+});
+
+test('purchases made at the same time never overfill a stack', async () => {
+  const hero = await api.createHero();
+  await api.User.updateOne({ email: hero.email }, { $set: { gold: 10000, inventory: [] } });
+
+  // Twenty potions to a stack
+  const responses = await Promise.all(Array.from({ length: 3 }, () => buy(hero, 'health_potion', 10)));
+  assert.deepEqual(responses.map(res => res.status).sort(), [200, 200, 400]);
+
+  assert.deepEqual(await stackOf(hero, 'health_potion'), { gold: 10000 - 2 * 300, quantity: 20 });
+  const user = await api.User.findOne({ email: hero.email });
+  assert.equal(user.inventory.filter(entry => entry.item === 'health_potion').length, 1);
+});
+
+test('health bought, healed or drunk never goes past the cap', async () => {
+  const hero = await api.createHero();
+  const healthOf = async () => (await api.User.findOne({ email: hero.email })).stats.health;
+  await api.User.updateOne({ email: hero.email }, { $set: { gold: 1000, 'stats.health': 90 } });
+
+  // Only the 10 missing health is sold
+  const bought = await api.request('POST', '/shop/buy-health', { token: hero.token, body: { amount: 50 } });
+  assert.equal(bought.status, 200);
+  assert.deepEqual([bought.body.healthGained, bought.body.goldSpent, bought.body.newHealth], [10, 100, 100]);
+  const full = await api.request('POST', '/shop/buy-health', { token: hero.token, body: { amount: 10 } });
+  assert.equal(full.status, 400);
+  assert.equal((await api.User.findOne({ email: hero.email })).gold, 900);
+
+  await buy(hero, 'health_potion', 2);
+  assert.equal((await api.request('POST', '/inventory/use', { token: hero.token, body: { itemId: 'health_potion' } })).status, 400);
+  await api.User.updateOne({ email: hero.email }, { $set: { 'stats.health': 90 } });
+  const used = await api.request('POST', '/inventory/use', { token: hero.token, body: { itemId: 'health_potion' } });
+  assert.equal(used.status, 200);
+  assert.deepEqual([used.body.stats.health, used.body.remaining], [100, 1]);
+  assert.equal(await healthOf(), 100);
+
+  await api.User.updateOne({ email: hero.email }, { $set: { 'stats.health': 99 } });
+  const drunk = await api.request('POST', '/log-water', { token: hero.token, body: { cups: 2 } });
+  assert.equal(drunk.status, 200);
+  assert.equal(drunk.body.healthRestored, 1);
+  assert.equal(await healthOf(), 100);
+});
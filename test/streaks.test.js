@@ -0,0 +1,111 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+after(() => api.close());
+
+// Local (UTC) date `offset` days from today
+const day = offset => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// Daily rewards claimed on the given days make up the login streak
+async function seedHero({ loginDays = [], freezes = 0 } = {}) {
+  const hero = await api.createHero();
+  await api.User.updateOne({ email: hero.email }, {
+    $set: {
+      dailyRewards: loginDays.map(offset => ({ date: day(offset), streak: 1, xp: 10, gold: 5 })),
+      inventory: freezes > 0 ? [{ item: 'streak_freeze', quantity: freezes }] : []
+    }
+  });
+  return hero;
+}
+
+async function getStreaks(hero) {
+  const res = await api.request('GET', '/streaks', { token: hero.token });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+const freezesLeft = async hero => {
+  const user = await api.User.findOne({ email: hero.email });
+  return user.inventory.filter(entry => entry.item === 'streak_freeze');
+};
+
+test('the daily reward grows with the login streak and is paid once a day', async () => {
+  const hero = await seedHero({ loginDays: [-2, -1] });
+
+  const claimed = await api.request('POST', '/rewards/daily', { token: hero.token });
+  assert.equal(claimed.status, 200);
+  assert.equal(claimed.body.streak, 3);
+  assert.deepEqual(claimed.body.reward, { xp: 20, gold: 9 });
+
+  const again = await api.request('POST', '/rewards/daily', { token: hero.token });
+  assert.equal(again.status, 409);
+});
+
+test('a streak not extended today still counts until the day is over', async () => {
+  const hero = await seedHero({ loginDays: [-3, -2, -1] });
+  const { streaks } = await getStreaks(hero);
+
+  assert.equal(streaks.login.current, 3);
+  assert.equal(streaks.login.activeToday, false);
+  assert.equal(streaks.login.startedOn, day(-3));
+});
+
+test('a missed day breaks the streak without a freeze', async () => {
+  const hero = await seedHero({ loginDays: [-4, -3, -2] });
+  const { streaks, streakEvents } = await getStreaks(hero);
+
+  assert.equal(streaks.login.current, 0);
+  assert.equal(streaks.login.longest, 3);
+  assert.deepEqual(streakEvents, []);
+});
+
+test('a streak freeze covers a missed day', async () => {
+  const hero = await seedHero({ loginDays: [-3, -2], freezes: 2 });
+  const { streaks, streakEvents } = await getStreaks(hero);
+
+  assert.deepEqual(streakEvents, [{ type: 'streak_freeze', streak: 'login', days: [day(-1)] }]);
+  assert.equal(streaks.login.current, 2);
+  assert.equal(streaks.freezes, 1);
+  assert.deepEqual((await freezesLeft(hero)).map(entry => entry.quantity), [1]);
+
+  // Frozen days are remembered, so the next look spends nothing
+  const later = await getStreaks(hero);
+  assert.deepEqual(later.streakEvents, []);
+  assert.equal(later.streaks.freezes, 1);
+});
+
+test('using the last freeze removes the stack', async () => {
+  const hero = await seedHero({ loginDays: [-3, -2], freezes: 1 });
+  const { streaks } = await getStreaks(hero);
+
+  assert.equal(streaks.login.current, 2);
+  assert.equal(streaks.freezes, 0);
+  assert.deepEqual(await freezesLeft(hero), []);
+});
+
+test('freezes are kept when there are too few to save the streak', async () => {
+  const hero = await seedHero({ loginDays: [-4, -3], freezes: 1 });
+  const { streaks, streakEvents } = await getStreaks(hero);
+
+  assert.equal(streaks.login.current, 0);
+  assert.deepEqual(streakEvents, []);
+  assert.equal(streaks.freezes, 1);
+});
+
+test('a 7-day milestone pays out once', async () => {
+  const hero = await seedHero({ loginDays: [-6, -5, -4, -3, -2, -1] });
+  const before = await api.User.findOne({ email: hero.email });
+
+  const claimed = await api.request('POST', '/rewards/daily', { token: hero.token });
+  assert.equal(claimed.status, 200);
+  const milestones = claimed.body.streakEvents.filter(event => event.type === 'streak_milestone');
+  assert.deepEqual(milestones, [{ type: 'streak_milestone', streak: 'login', days: 7, reward: { xp: 100, gold: 50 } }]);
+
+  const after = await api.User.findOne({ email: hero.email });
+  assert.equal(after.gold, before.gold + claimed.body.reward.gold + 50);
+
+  const { streakEvents } = await getStreaks(hero);
+  assert.deepEqual(streakEvents, []);
+});